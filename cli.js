@@ -0,0 +1,369 @@
+#!/usr/bin/env node
+/*
+  cli.js
+
+  Command line version of the Reddit Data Tool: exports one or more
+  threads to CSV and/or JSON files without a browser. Loading "load more
+  comments" replies, parsing and CSV output come from core.js, so files
+  match what the page downloads with the same settings.
+  Saved thread JSON files are read as they are, without loading more.
+
+  Usage: reddit-data-tool [options] <url|post id|thread.json> ...
+  Run with --help for the options.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const core = require('./core.js');
+
+const USAGE = `Usage: reddit-data-tool [options] <url|post id|thread.json> ...
+
+Inputs are Reddit post or comment links, bare post IDs (with a digit or a
+t3_ prefix, e.g. kq3z1v or t3_gbkmga), or thread JSON files saved from
+Reddit (read offline, so "load more comments" links in them stay
+unexpanded).
+
+Options:
+  -i, --input <file>      read inputs from a file, one per line (# comments)
+  -o, --out <dir>         output directory (default: current directory)
+  -f, --format <fmt>      csv | json | both (default: csv)
+      --date-format <fmt> iso8601 | rfc1123 | utc (default: iso8601)
+      --compact           compact CSV: Number and Body (Compact) only
+      --strip-newlines    replace newlines in comment bodies with spaces
+      --delimiter <d>     comma | semicolon | tab (default: comma; tab writes .tsv)
+      --quote <mode>      all | minimal (default: all)
+      --bom               start CSV files with a UTF-8 byte order mark
+      --crlf              Windows line endings
+      --null <text>       text for missing values (default: empty)
+      --epoch             add epoch seconds next to each date
+      --allow-formulas    don't prefix cells starting with = + - @ with '
+      --filename <tmpl>   file name template with {subreddit}, {postId}, {date}
+                          (default: the post ID, plus the comment ID for a subthread)
+      --sort <sort>       confidence | top | new | controversial | old | qa
+      --depth <n>         maximum reply depth
+      --limit <n>         maximum number of comments Reddit should return
+      --no-expand         don't load the replies behind "load more comments" links
+  -h, --help              show this help`;
+
+const FORMATS = ['csv', 'json', 'both'];
+const DATE_FORMATS = ['iso8601', 'rfc1123', 'utc'];
+const COMMENT_SORTS = ['confidence', 'top', 'new', 'controversial', 'old', 'qa'];
+const QUOTE_MODES = ['all', 'minimal'];
+
+const USER_AGENT = `${core.TOOL_NAME.toLowerCase().replace(/ /g, '-')}/${core.TOOL_VERSION}`;
+const FETCH_MAX_RETRIES = 4;
+const FETCH_BACKOFF_MS = 2000;
+const POST_DELAY_MS = 2000;   // pause between posts, to stay well inside Reddit's rate limit
+
+
+// =========================
+// ARGUMENTS
+// =========================
+function parseArgs(argv) {
+  const opts = {
+    inputs: [],
+    out: '.',
+    format: 'csv',
+    dateFormat: 'iso8601',
+    compact: false,
+    removeNewlines: false,
+    delimiter: ',',
+    quote: 'all',
+    bom: false,
+    lineEnding: '\n',
+    nullValue: '',
+    epochColumns: false,
+    protectFormulas: true,
+    fileName: null,
+    sort: 'confidence',
+    depth: null,
+    limit: null,
+    expandMore: true,
+    help: false
+  };
+
+  const value = (i, name) => {
+    if (i >= argv.length) throw new Error(`${name} needs a value`);
+    return argv[i];
+  };
+  const positive = (text, name) => {
+    const n = parseInt(text, 10);
+    if (!(n > 0)) throw new Error(`${name} must be a positive number`);
+    return n;
+  };
+  const oneOf = (text, allowed, name) => {
+    if (!allowed.includes(text)) throw new Error(`${name} must be one of: ${allowed.join(', ')}`);
+    return text;
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '-h':
+      case '--help':
+        opts.help = true;
+        break;
+      case '-i':
+      case '--input':
+        opts.inputs.push(...readInputFile(value(++i, arg)));
+        break;
+      case '-o':
+      case '--out':
+        opts.out = value(++i, arg);
+        break;
+      case '-f':
+      case '--format':
+        opts.format = oneOf(value(++i, arg), FORMATS, arg);
+        break;
+      case '--date-format':
+        opts.dateFormat = oneOf(value(++i, arg), DATE_FORMATS, arg);
+        break;
+      case '--compact':
+        opts.compact = true;
+        break;
+      case '--strip-newlines':
+        opts.removeNewlines = true;
+        break;
+      case '--delimiter':
+        opts.delimiter = core.CSV_DELIMITERS[oneOf(value(++i, arg), Object.keys(core.CSV_DELIMITERS), arg)];
+        break;
+      case '--quote':
+        opts.quote = oneOf(value(++i, arg), QUOTE_MODES, arg);
+        break;
+      case '--bom':
+        opts.bom = true;
+        break;
+      case '--crlf':
+        opts.lineEnding = '\r\n';
+        break;
+      case '--null':
+        opts.nullValue = value(++i, arg);
+        break;
+      case '--epoch':
+        opts.epochColumns = true;
+        break;
+      case '--allow-formulas':
+        opts.protectFormulas = false;
+        break;
+      case '--filename':
+        opts.fileName = value(++i, arg);
+        break;
+      case '--sort':
+        opts.sort = oneOf(value(++i, arg), COMMENT_SORTS, arg);
+        break;
+      case '--depth':
+        opts.depth = positive(value(++i, arg), arg);
+        break;
+      case '--limit':
+        opts.limit = positive(value(++i, arg), arg);
+        break;
+      case '--no-expand':
+        opts.expandMore = false;
+        break;
+      default:
+        if (arg.startsWith('-')) throw new Error(`Unknown option ${arg}`);
+        opts.inputs.push(arg);
+    }
+  }
+  return opts;
+}
+
+// One input per line; blank lines and # comments are skipped
+function readInputFile(file) {
+  return fs.readFileSync(file, 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+
+// =========================
+// FETCHING
+// =========================
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// GET with retries on network errors, 429 and 5xx (honoring Retry-After)
+async function fetchWithRetry(url) {
+  for (let attempt = 0; ; attempt++) {
+    let response;
+    try {
+      response = await fetch(url, { headers: { 'User-Agent': USER_AGENT } });
+    } catch (err) {
+      if (attempt >= FETCH_MAX_RETRIES) throw new Error(`Network error for ${url}: ${err.message}`);
+      await sleep(FETCH_BACKOFF_MS * 2 ** attempt);
+      continue;
+    }
+    if (response.ok) return response;
+
+    const retryable = response.status === 429 || response.status >= 500;
+    if (!retryable || attempt >= FETCH_MAX_RETRIES) {
+      throw new Error(`Reddit answered ${response.status} for ${url}`);
+    }
+    const retryAfter = parseInt(response.headers.get('retry-after'), 10);
+    await sleep(retryAfter > 0 ? retryAfter * 1000 : FETCH_BACKOFF_MS * 2 ** attempt);
+  }
+}
+
+// Share links (/s/<code>) only resolve by following Reddit's redirect
+async function resolveTarget(input) {
+  const target = core.parseRedditUrl(input);
+  if (!target || !target.shareUrl) return target;
+  const response = await fetchWithRetry(target.shareUrl);
+  return core.parseRedditUrl(response.url);
+}
+
+/**
+ * Load one thread, from a saved JSON file or from Reddit.
+ * Returns { response, source } where source is the fetch log entry.
+ */
+async function loadThread(input, opts) {
+  const fetchedAt = new Date().toISOString();
+
+  if (/\.json$/i.test(input) && fs.existsSync(input)) {
+    const response = JSON.parse(fs.readFileSync(input, 'utf8'));
+    return { response, target: null, source: { sourceUrl: `file:${path.basename(input)}`, fetchedAt } };
+  }
+
+  const target = await resolveTarget(input);
+  if (!target || !target.postId) throw new Error(`Not a Reddit post URL or post ID: ${input}`);
+
+  const endpoint = core.buildThreadEndpoint(target, {
+    sort: opts.sort,
+    limit: opts.limit,
+    depth: opts.depth,
+    context: target.context
+  });
+  const getJson = async url => (await fetchWithRetry(url)).json();
+  const response = await getJson(endpoint);
+  if (opts.expandMore && core.isThreadResponse(response)) {
+    const failed = await core.expandMoreStubs(response[1].data.children, response[0].data.children[0].data, {
+      getJson,
+      wait: sleep,
+      sort: opts.sort,
+      maxDepth: opts.depth
+    });
+    failed.forEach(({ parentName, error }) => {
+      console.warn(`  warning: could not load more comments under ${parentName}: ${error.message}`);
+    });
+  }
+  return {
+    response,
+    target,
+    source: {
+      sourceUrl: input,
+      fetchedAt,
+      endpoint,
+      sort: opts.sort,
+      maxDepth: opts.depth,
+      limit: opts.limit
+    }
+  };
+}
+
+
+// =========================
+// EXPORT
+// =========================
+async function exportThread(input, opts) {
+  const { response, target, source } = await loadThread(input, opts);
+  if (!core.isThreadResponse(response)) throw new Error(`${input} is not a Reddit thread`);
+
+  const thread = core.parseThreadResponse(response, opts.depth);
+  const fullSource = {
+    postId: thread.postInfo.id,
+    ...source,
+    unresolvedMoreCount: thread.unresolvedMoreCount
+  };
+  const base = thread.postInfo.id + (target && target.commentId ? `_${target.commentId}` : '');
+  const fileName = extension => (opts.fileName
+    ? core.formatFileName(opts.fileName, {
+      subreddit: thread.postInfo.subreddit,
+      postId: base,
+      date: source.fetchedAt.slice(0, 10)
+    }, extension)
+    : `${base}.${extension}`);
+  const written = [];
+
+  if (opts.format !== 'json') {
+    const csv = core.buildCommentsCsv(thread.rows, {
+      compact: opts.compact,
+      dateFormat: opts.dateFormat,
+      removeNewlines: opts.removeNewlines,
+      delimiter: opts.delimiter,
+      quote: opts.quote,
+      bom: opts.bom,
+      lineEnding: opts.lineEnding,
+      nullValue: opts.nullValue,
+      epochColumns: opts.epochColumns,
+      protectFormulas: opts.protectFormulas
+    });
+    written.push(writeOutput(opts.out, fileName(opts.delimiter === '\t' ? 'tsv' : 'csv'), csv));
+  }
+  if (opts.format !== 'csv') {
+    const manifest = {
+      tool: core.TOOL_NAME,
+      version: core.TOOL_VERSION,
+      doi: core.TOOL_DOI,
+      format: 'flat',
+      exportedAt: new Date().toISOString(),
+      sources: [fullSource],
+      commentCount: thread.rows.length
+    };
+    const json = JSON.stringify({ manifest, posts: [thread.postInfo], comments: thread.rows }, null, 2);
+    written.push(writeOutput(opts.out, fileName('json'), json));
+  }
+
+  console.log(`${input}: ${thread.rows.length} comments -> ${written.join(', ')}`);
+  if (thread.unresolvedMoreCount) {
+    console.warn(`  warning: ${thread.unresolvedMoreCount} replies behind "load more comments" links were not fetched`);
+  }
+}
+
+function writeOutput(dir, filename, content) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, filename);
+  fs.writeFileSync(file, content, 'utf8');
+  return file;
+}
+
+async function main(argv) {
+  let opts;
+  try {
+    opts = parseArgs(argv);
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    return 1;
+  }
+  if (opts.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!opts.inputs.length) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  let failed = 0;
+  for (let i = 0; i < opts.inputs.length; i++) {
+    const input = opts.inputs[i];
+    // Only pause between requests that actually go to Reddit
+    if (i > 0 && !/\.json$/i.test(input)) await sleep(POST_DELAY_MS);
+    try {
+      await exportThread(input, opts);
+    } catch (err) {
+      failed++;
+      console.error(`${input}: ${err.message}`);
+    }
+  }
+  return failed ? 1 : 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { parseArgs, main };
@@ -0,0 +1,664 @@
+/*
+  core.js
+
+  The DOM-free part of the Reddit Data Tool: recognizing Reddit URLs,
+  loading the replies behind "load more comments" links, turning Reddit's
+  thread JSON into rows and writing those rows as CSV.
+  The page loads it before script.js; the command line tool (cli.js)
+  and the tests require() it.
+*/
+
+const TOOL_NAME = 'Reddit Data Tool';
+const TOOL_VERSION = '1.0.0'; // the one version the page and CLI report; bump package.json with it (checked by the tests)
+const TOOL_DOI = '10.5281/zenodo.15024196';
+
+
+// =========================
+// REDDIT URLS
+// =========================
+// Accepts www/old/new/np/mobile reddit.com links (with or without scheme,
+// query string or trailing slash), /comments/<id> and /comment/<id> forms,
+// single-comment permalinks, redd.it short links, /s/ share links and bare
+// post IDs, and builds the canonical JSON endpoint for them.
+
+const REDDIT_ORIGIN = 'https://www.reddit.com';
+const REDDIT_HOSTS = /^(?:(?:www|old|new|np|m|amp)\.)?reddit\.com$/i;
+const REDDIT_ID = /^(?:t[13]_)?([a-z0-9]{4,10})$/i;
+const BARE_POST_ID = /^(?:t3_)?([a-z0-9]{5,8})$/i;
+const MAX_COMMENT_CONTEXT = 8; // Reddit ignores larger ?context values
+
+/**
+ * Recognize a Reddit post reference. Returns { postId, commentId, context }
+ * or, for share links that only Reddit can resolve, { shareUrl }; null if
+ * the input is not a post.
+ */
+// Input taken as a bare post ID. Plain words ("hello", "postid", "reddit") look
+// like IDs too, so a bare ID needs a t3_ prefix or a digit.
+function isBarePostId(text) {
+  return BARE_POST_ID.test(text) && /^t3_|\d/i.test(text);
+}
+
+function parseRedditUrl(input) {
+  const text = (input || '').trim();
+  if (!text) return null;
+
+  const bare = isBarePostId(text) && text.match(BARE_POST_ID);
+  if (bare) return { postId: bare[1].toLowerCase(), commentId: null, context: null };
+
+  let url;
+  try {
+    url = new URL(/^https?:\/\//i.test(text) ? text : `https://${text}`);
+  } catch (err) {
+    return null;
+  }
+  const host = url.hostname.toLowerCase();
+  const parts = url.pathname.split('/').filter(Boolean);
+
+  if (host === 'redd.it' || host === 'www.redd.it') {
+    const id = parts.length === 1 && parts[0].match(REDDIT_ID);
+    return id ? { postId: id[1].toLowerCase(), commentId: null, context: null } : null;
+  }
+  if (!REDDIT_HOSTS.test(host)) return null;
+
+  // /r/<sub>/s/<code> (also under /u/<user>/s/)
+  if (parts.length === 4 && parts[2] === 's') {
+    return { shareUrl: `${REDDIT_ORIGIN}/${parts.map(encodeURIComponent).join('/')}` };
+  }
+
+  // .../comments/<post>[/<slug or "comment">[/<comment>]], or /gallery/<post>
+  const at = parts.findIndex(p => p === 'comments' || p === 'gallery');
+  const postId = at >= 0 && parts[at + 1] && parts[at + 1].match(REDDIT_ID);
+  if (!postId) return null;
+  const commentId = parts[at] === 'comments' && parts[at + 3] && parts[at + 3].match(REDDIT_ID);
+  const context = parseInt(url.searchParams.get('context'), 10);
+
+  return {
+    postId: postId[1].toLowerCase(),
+    commentId: commentId ? commentId[1].toLowerCase() : null,
+    context: context > 0 ? Math.min(context, MAX_COMMENT_CONTEXT) : null
+  };
+}
+
+// JSON endpoint for a post, or for one comment's subthread; options: sort, limit, depth, context.
+// raw_json=1 stops Reddit from HTML-escaping &, < and > in bodies.
+function buildThreadEndpoint(target, options = {}) {
+  const params = new URLSearchParams({ raw_json: '1' });
+  if (options.sort) params.set('sort', options.sort);
+  if (options.limit) params.set('limit', options.limit);
+  if (options.depth) params.set('depth', options.depth);
+  if (target.commentId && options.context) params.set('context', options.context);
+
+  const path = target.commentId
+    ? `/comments/${target.postId}/_/${target.commentId}`
+    : `/comments/${target.postId}`;
+  return `${REDDIT_ORIGIN}${path}.json?${params}`;
+}
+
+
+// =========================
+// EXTRACT POST INFO
+// =========================
+function extractPostInfo(p) {
+  return {
+    id: p.id || '',
+    name: p.name || (p.id ? `t3_${p.id}` : ''),
+    title: p.title || '',
+    selftext: p.selftext || '',
+    author: p.author || '[deleted]',
+    authorFlairText: p.author_flair_text || '',
+    subreddit: p.subreddit || '',
+    subredditId: p.subreddit_id || '',
+    permalink: p.permalink || '',
+    url: p.url || '',
+    domain: p.domain || '',
+    isSelf: !!p.is_self,
+    linkFlairText: p.link_flair_text || '',
+    ups: p.ups || 0,
+    downs: p.downs || 0,
+    score: (typeof p.score === 'number') ? p.score : (p.ups || 0) - (p.downs || 0),
+    upvoteRatio: (typeof p.upvote_ratio === 'number') ? p.upvote_ratio : null,
+    numComments: p.num_comments || 0,
+    dateUtc: p.created_utc || null,
+    edited: p.edited ? p.edited : null,     // Reddit sends false or an epoch timestamp
+    distinguished: p.distinguished || '',
+    stickied: !!p.stickied,
+    locked: !!p.locked,
+    over18: !!p.over_18,
+    spoiler: !!p.spoiler,
+    gilded: p.gilded || 0,
+    awards: p.total_awards_received || 0
+  };
+}
+
+// =========================
+// BUILD TABLE DATA
+// =========================
+// Walk the comment tree with prefix numbering (1,1.1,1.2,...)
+// Rows are appended to `rows` and tagged with postId. Returns the number of
+// replies hidden behind "load more comments" stubs that are still in the tree;
+// stubs below maxDepth don't count, those replies are left out on purpose.
+function buildTableData(comments, prefixArr = [], rows = [], postId = '', maxDepth = null) {
+  const tally = { unresolved: 0 };
+  for (const row of walkCommentTree(comments, prefixArr, postId, maxDepth, tally)) {
+    rows.push(row);
+  }
+  return tally.unresolved;
+}
+
+/**
+ * Yield one row per comment, depth-first, keeping an explicit stack so very
+ * deep threads can't overflow the call stack. Unresolved "more" counts are
+ * added to tally.unresolved.
+ */
+function* walkCommentTree(comments, prefixArr, postId, maxDepth, tally) {
+  const stack = [{ children: comments || [], next: 0, prefix: prefixArr, count: 0 }];
+  while (stack.length) {
+    const level = stack[stack.length - 1];
+    if (level.next >= level.children.length) {
+      stack.pop();
+      continue;
+    }
+    const child = level.children[level.next++];
+    if (child.kind === 'more') {
+      if (!maxDepth || level.prefix.length < maxDepth) tally.unresolved += child.data.count || 0;
+      continue;
+    }
+
+    level.count++;
+    const numberingArray = [...level.prefix, level.count];
+    const c = child.data;
+    yield buildCommentRow(c, numberingArray, postId);
+
+    // Descend into the replies before the next sibling
+    if (c.replies && c.replies.data && c.replies.data.children) {
+      stack.push({ children: c.replies.data.children, next: 0, prefix: numberingArray, count: 0 });
+    }
+  }
+}
+
+function buildCommentRow(c, numberingArray, postId) {
+  return {
+    postId,
+    numbering: numberingArray.join('.'),
+    level: numberingArray.length,
+    body: c.body ? c.body : '[deleted]',
+    author: c.author ? c.author : '[deleted]',
+    upvotes: c.ups || 0,
+    downvotes: c.downs || 0,
+    score: (typeof c.score === 'number') ? c.score : (c.ups || 0) - (c.downs || 0),
+    dateUtc: c.created_utc ? c.created_utc : null,
+    id: c.id || '',
+    parentId: c.parent_id || '',
+    linkId: c.link_id || '',
+    edited: c.edited ? c.edited : null,   // Reddit sends false or an epoch timestamp
+    distinguished: c.distinguished || '',
+    stickied: !!c.stickied,
+    isSubmitter: !!c.is_submitter,
+    authorFlairText: c.author_flair_text || '',
+    gilded: c.gilded || 0,
+    awards: c.total_awards_received || 0,
+    controversiality: c.controversiality || 0,
+    depth: (typeof c.depth === 'number') ? c.depth : numberingArray.length - 1,
+    permalink: c.permalink || ''
+  };
+}
+
+// A thread JSON is Reddit's [post listing, comment listing] pair
+function isThreadResponse(response) {
+  return Array.isArray(response) && !!response[0] && !!response[0].data
+    && !!response[0].data.children && response[0].data.children.length > 0
+    && !!response[1] && !!response[1].data;
+}
+
+/**
+ * Turn a thread JSON into { postInfo, rows, unresolvedMoreCount }.
+ * With maxDepth, deeper rows are dropped: replies fetched through "load
+ * more" links can reach below the depth Reddit was asked for.
+ */
+function parseThreadResponse(response, maxDepth = null) {
+  // The first array (response[0]) has post info
+  const post = response[0].data.children[0].data;
+
+  // The second array (response[1]) has the comments
+  const rows = [];
+  const unresolvedMoreCount = buildTableData(response[1].data.children, [], rows, post.id, maxDepth);
+  return threadResult(post, rows, unresolvedMoreCount, maxDepth);
+}
+
+const PARSE_CHUNK_SIZE = 2000; // comments numbered between two breaks for the event loop
+
+/**
+ * parseThreadResponse for large threads: the same result, but it yields to
+ * the event loop every PARSE_CHUNK_SIZE comments so the page keeps
+ * responding. onProgress(rowsSoFar) is called at each break.
+ */
+async function parseThreadResponseChunked(response, maxDepth = null, onProgress = null) {
+  const post = response[0].data.children[0].data;
+  const tally = { unresolved: 0 };
+  const rows = [];
+  for (const row of walkCommentTree(response[1].data.children, [], post.id, maxDepth, tally)) {
+    rows.push(row);
+    if (rows.length % PARSE_CHUNK_SIZE === 0) {
+      if (onProgress) onProgress(rows.length);
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  }
+  return threadResult(post, rows, tally.unresolved, maxDepth);
+}
+
+function threadResult(post, rows, unresolvedMoreCount, maxDepth) {
+  return {
+    postInfo: extractPostInfo(post),
+    rows: maxDepth ? rows.filter(row => row.level <= maxDepth) : rows,
+    unresolvedMoreCount
+  };
+}
+
+
+// =========================
+// EXPAND "LOAD MORE" STUBS
+// =========================
+// Shared by the page and the CLI; each passes its own getJson (retries,
+// rate limits, cancelling) and wait.
+
+const MORE_CHILDREN_BATCH = 100;    // max IDs per /api/morechildren call
+const MORE_CHILDREN_DELAY_MS = 1000; // pause between calls to stay under the rate limit
+
+/**
+ * Resolve every `more` stub in the comment tree in place.
+ * Stubs that list child IDs go through /api/morechildren in batches; stubs
+ * without IDs are "continue this thread" links and are fetched from the
+ * parent comment's permalink. The resolved comments replace the stub at its
+ * position, so numbering follows the thread order. Stubs returned by Reddit
+ * inside the results are picked up in the next round. Stubs that fail are
+ * marked unresolved and counted by buildTableData.
+ *
+ * options: getJson(url) resolving to the parsed response, wait(ms), sort,
+ * maxDepth, onProgress(message, fraction) and isCancelled(err) for errors
+ * that stop the whole expansion instead of one stub.
+ *
+ * Resolves to the failed stubs as [{ parentName, error }] for the caller to report.
+ */
+async function expandMoreStubs(comments, post, options) {
+  const linkId = post.name || `t3_${post.id}`;
+  const isCancelled = options.isCancelled || (() => false);
+  const failed = [];
+  let loaded = 0;
+  let stubs = collectMoreStubs(comments, linkId, options.maxDepth);
+
+  while (stubs.length) {
+    for (const entry of stubs) {
+      const more = entry.stub.data;
+      const pending = countPendingStubs(stubs);
+      if (options.onProgress) {
+        options.onProgress(`Loading more comments: ${loaded} loaded, about ${pending} remaining...`,
+          loaded / (loaded + pending || 1));
+      }
+
+      let replacement;
+      try {
+        replacement = more.children && more.children.length
+          ? await fetchMoreChildren(linkId, more.children, entry.parentName, options)
+          : await fetchContinuedThread(post.permalink, entry.parentName, options);
+      } catch (err) {
+        if (isCancelled(err)) throw err;
+        failed.push({ parentName: entry.parentName, error: err });
+        entry.stub.unresolved = true;
+        continue;
+      }
+
+      const idx = entry.siblings.indexOf(entry.stub);
+      entry.siblings.splice(idx, 1, ...replacement);
+      entry.stub.done = true;
+      loaded += countComments(replacement);
+      await options.wait(MORE_CHILDREN_DELAY_MS);
+    }
+    stubs = collectMoreStubs(comments, linkId, options.maxDepth);
+  }
+  return failed;
+}
+
+/**
+ * Walk the raw comment tree and return every unresolved `more` stub,
+ * together with the array it sits in and the fullname of its parent.
+ */
+function collectMoreStubs(children, parentName, maxDepth = null, found = [], level = 1) {
+  if (!children || !children.length) return found;
+  children.forEach(child => {
+    if (child.kind === 'more') {
+      // Stubs below the chosen max depth would only load comments that are cut anyway
+      if (!child.unresolved && !(maxDepth && level > maxDepth)) {
+        found.push({ stub: child, siblings: children, parentName: child.data.parent_id || parentName });
+      }
+      return;
+    }
+    const c = child.data;
+    if (c.replies && c.replies.data && c.replies.data.children) {
+      collectMoreStubs(c.replies.data.children, c.name, maxDepth, found, level + 1);
+    }
+  });
+  return found;
+}
+
+function countPendingStubs(stubs) {
+  return stubs
+    .filter(e => !e.stub.done && !e.stub.unresolved)
+    .reduce((sum, e) => sum + (e.stub.data.count || 0), 0);
+}
+
+// Count comments (not stubs) in a list of things, including nested replies
+function countComments(children) {
+  let n = 0;
+  (children || []).forEach(child => {
+    if (child.kind !== 't1') return;
+    n++;
+    const r = child.data.replies;
+    if (r && r.data) n += countComments(r.data.children);
+  });
+  return n;
+}
+
+/**
+ * Fetch the comments behind one stub via /api/morechildren.
+ * Reddit returns a flat, depth-first list; re-nest it under the stub's
+ * parent using each thing's parent_id.
+ */
+async function fetchMoreChildren(linkId, childIds, parentName, options) {
+  const things = [];
+  for (let i = 0; i < childIds.length; i += MORE_CHILDREN_BATCH) {
+    if (i > 0) await options.wait(MORE_CHILDREN_DELAY_MS);
+    const batch = childIds.slice(i, i + MORE_CHILDREN_BATCH);
+    const params = new URLSearchParams({
+      api_type: 'json',
+      link_id: linkId,
+      children: batch.join(','),
+      limit_children: 'false',
+      raw_json: '1'
+    });
+    if (options.sort) params.set('sort', options.sort);
+    const response = await options.getJson(`${REDDIT_ORIGIN}/api/morechildren.json?${params}`);
+    if (!response.json || !response.json.data) {
+      throw new Error('Unexpected /api/morechildren response');
+    }
+    things.push(...response.json.data.things);
+  }
+  return nestThings(things, parentName);
+}
+
+// Re-nest a flat list of things under parentName, keeping their order
+function nestThings(things, parentName) {
+  const topLevel = [];
+  const byName = {};
+  things.forEach(t => {
+    if (t.kind === 't1') byName[t.data.name] = t;
+  });
+
+  things.forEach(t => {
+    const parent = byName[t.data.parent_id];
+    if (t.data.parent_id === parentName || !parent) {
+      topLevel.push(t);
+      return;
+    }
+    if (!parent.data.replies || !parent.data.replies.data) {
+      parent.data.replies = { kind: 'Listing', data: { children: [] } };
+    }
+    parent.data.replies.data.children.push(t);
+  });
+  return topLevel;
+}
+
+// "Continue this thread": load the parent comment's permalink and take its replies
+async function fetchContinuedThread(postPermalink, parentName, options) {
+  const commentId = parentName.replace(/^t1_/, '');
+  const params = new URLSearchParams({ raw_json: '1' });
+  if (options.sort) params.set('sort', options.sort);
+  const response = await options.getJson(`${REDDIT_ORIGIN}${postPermalink}${commentId}.json?${params}`);
+  const parent = response[1].data.children[0];
+  if (!parent || parent.kind !== 't1') {
+    throw new Error(`Comment ${parentName} not found`);
+  }
+  const replies = parent.data.replies;
+  return replies && replies.data ? replies.data.children : [];
+}
+
+
+// =========================
+// COLUMNS & CSV
+// =========================
+// Every comment field that can appear in the table and the CSV.
+// `csv` overrides the header used in downloads; `default` columns are preselected.
+const COMMENT_COLUMNS = [
+  { key: 'postId', label: 'Post ID', type: 'text' },
+  { key: 'numbering', label: 'Number', type: 'numbering', default: true },
+  { key: 'level', label: 'Level', type: 'number', default: true },
+  { key: 'body', label: 'Body', type: 'body', default: true },
+  { key: 'author', label: 'Author', type: 'text', default: true },
+  { key: 'dateUtc', label: 'Date (UTC)', csv: 'Date(UTC)', type: 'date', default: true },
+  { key: 'upvotes', label: 'Upvotes', type: 'number', default: true },
+  { key: 'downvotes', label: 'Downvotes', type: 'number', default: true },
+  { key: 'score', label: 'Score', type: 'number' },
+  { key: 'id', label: 'Comment ID', type: 'text' },
+  { key: 'parentId', label: 'Parent ID', type: 'text' },
+  { key: 'linkId', label: 'Link ID', type: 'text' },
+  { key: 'depth', label: 'Depth', type: 'number' },
+  { key: 'edited', label: 'Edited (UTC)', csv: 'Edited(UTC)', type: 'date' },
+  { key: 'isSubmitter', label: 'OP', type: 'bool' },
+  { key: 'distinguished', label: 'Distinguished', type: 'text' },
+  { key: 'stickied', label: 'Stickied', type: 'bool' },
+  { key: 'authorFlairText', label: 'Author Flair', type: 'text' },
+  { key: 'gilded', label: 'Gilded', type: 'number' },
+  { key: 'awards', label: 'Awards', type: 'number' },
+  { key: 'controversiality', label: 'Controversiality', type: 'number' },
+  { key: 'permalink', label: 'Permalink', type: 'text' },
+  { key: 'codes', label: 'Codes', type: 'codes' },
+  { key: 'memo', label: 'Memo', type: 'memo' }
+];
+
+// Text of one plain comment field; options: dateFormat, removeNewlines, nullValue.
+// The page adds the annotation columns (codes, memo) on top of this.
+function formatCommentCell(row, col, options = {}) {
+  const value = row[col.key];
+  const missing = value === null || value === undefined;
+  switch (col.type) {
+    case 'date':
+      return missing ? (options.nullValue || '') : formatDate(value, options.dateFormat);
+    case 'epoch':
+      return missing ? (options.nullValue || '') : String(value);
+    case 'bool':
+      return value ? 'true' : 'false';
+    case 'body':
+      return options.removeNewlines ? value.replace(/\r?\n|\n\r|\n|\r/g, ' ') : value;
+    default:
+      return missing ? (options.nullValue || '') : String(value);
+  }
+}
+
+// A raw epoch seconds column after every date column, e.g. Date(UTC) => Date(epoch)
+function withEpochColumns(columns) {
+  return columns.flatMap(col => col.type !== 'date' ? [col] : [col, {
+    key: col.key,
+    label: col.label.replace(/ \(UTC\)$/, ' (epoch)'),
+    csv: (col.csv || col.label).replace(/\(UTC\)$/, '(epoch)'),
+    type: 'epoch'
+  }]);
+}
+
+// Compact mode: the body with its metadata appended, always on one line
+function formatCompactBody(row, options = {}) {
+  let bodyText = row.body;
+  if (options.removeNewlines) {
+    bodyText = bodyText.replace(/\r?\n|\n\r|\n|\r/g, ' ');
+  }
+  return `${bodyText} (by ${row.author}, ${formatDate(row.dateUtc, options.dateFormat)}, ↑↓ ${row.score})`
+    .replace(/\r?\n|\r/g, ' ');
+}
+
+/**
+ * CSV text for comment rows. Options:
+ *   compact        - Number and Body (Compact) only
+ *   dateFormat     - see formatDate
+ *   removeNewlines - strip newlines from bodies
+ *   withPostId     - compact mode: lead with a Post ID column
+ *   columns        - non-compact columns, default the preselected COMMENT_COLUMNS
+ *   cellText       - (row, col) => text, default formatCommentCell
+ *   extraColumns   - compact mode: trailing [{ label, value: row => text }]
+ * plus the dialect options of convertToCsvRow and:
+ *   lineEnding     - '\n' (default) or '\r\n'
+ *   bom            - start with a UTF-8 byte order mark (Excel then reads UTF-8)
+ *   nullValue      - text for missing values, default empty
+ *   epochColumns   - raw epoch seconds next to each date
+ */
+function buildCommentsCsv(rows, options = {}) {
+  let header;
+  let cells;
+
+  if (options.compact) {
+    const extra = options.extraColumns || [];
+    header = [
+      ...(options.withPostId ? ['Post ID'] : []),
+      'Number',
+      ...(options.epochColumns ? ['Date(epoch)'] : []),
+      'Body (Compact)',
+      ...extra.map(col => col.label)
+    ];
+    cells = row => [
+      ...(options.withPostId ? [row.postId] : []),
+      row.numbering,
+      ...(options.epochColumns ? [formatCommentCell(row, { key: 'dateUtc', type: 'epoch' }, options)] : []),
+      formatCompactBody(row, options),
+      ...extra.map(col => col.value(row))
+    ];
+  } else {
+    const baseColumns = options.columns || COMMENT_COLUMNS.filter(col => col.default);
+    const columns = options.epochColumns ? withEpochColumns(baseColumns) : baseColumns;
+    const cellText = options.cellText || ((row, col) => formatCommentCell(row, col, options));
+    header = columns.map(col => col.csv || col.label);
+    cells = row => columns.map(col => cellText(row, col));
+  }
+
+  return buildCsv(header, rows.map(cells), options);
+}
+
+/**
+ * CSV text from a header and rows of cells, in the dialect of buildCommentsCsv
+ * (convertToCsvRow's options plus lineEnding, bom and nullValue). Shared by
+ * every CSV download, so they all follow the same settings.
+ */
+function buildCsv(header, rows, options = {}) {
+  const lineEnding = options.lineEnding || '\n';
+  let csvContent = (options.bom ? '\uFEFF' : '') + header.join(options.delimiter || ',') + lineEnding;
+  rows.forEach(cells => {
+    const values = cells.map(cell => (cell === null || cell === undefined ? (options.nullValue || '') : cell));
+    csvContent += convertToCsvRow(values, options) + lineEnding;
+  });
+  return csvContent;
+}
+
+// Cells a spreadsheet would run as a formula; plain numbers such as -3 are left alone
+const FORMULA_START = /^[=+\-@\t\r]/;
+const PLAIN_NUMBER = /^[+-]?\d+(\.\d+)?$/;
+
+/**
+ * Convert array of fields to CSV row. Dialect options:
+ *   delimiter       - ',' (default), ';' or '\t'
+ *   quote           - 'all' (default) or 'minimal': only cells that need it
+ *   protectFormulas - prefix cells starting with = + - @ (or tab/CR) with '
+ */
+function convertToCsvRow(arr, dialect = {}) {
+  const delimiter = dialect.delimiter || ',';
+  return arr.map(cell => {
+    let str = String(cell);
+    if (dialect.protectFormulas && FORMULA_START.test(str) && !PLAIN_NUMBER.test(str)) {
+      str = `'${str}`;
+    }
+    const needsQuotes = str.includes(delimiter) || /["\r\n]/.test(str) || /^\s|\s$/.test(str);
+    if (dialect.quote === 'minimal' && !needsQuotes) return str;
+    return `"${str.replace(/"/g, '""')}"`;
+  }).join(delimiter);
+}
+
+const CSV_DELIMITERS = { comma: ',', semicolon: ';', tab: '\t' };
+
+/**
+ * File name from a template with {subreddit}, {postId} and {date} (the
+ * fetch date, YYYY-MM-DD) placeholders. Characters that aren't safe in
+ * file names become "_".
+ */
+function formatFileName(template, values, extension) {
+  const name = (template || 'reddit_comments').trim()
+    .replace(/\{(subreddit|postId|date)\}/g, (m, key) => values[key] || '')
+    .replace(/[\\/:*?"<>|\s]+/g, '_');
+  return `${name || 'reddit_comments'}.${extension}`;
+}
+
+
+// =========================
+// DATE FORMATTING
+// =========================
+// dateFormat: iso8601 | rfc1123 | utc
+function formatDate(utcSeconds, dateFormat = 'iso8601') {
+  if (!utcSeconds) return '';
+  const d = new Date(utcSeconds * 1000);
+  switch (dateFormat) {
+    case 'iso8601':
+      return formatUTCAsISO8601(d);
+    case 'rfc1123':
+      return d.toUTCString();
+    case 'utc':
+      return formatUTCAsSimple(d);
+    default:
+      return d.toISOString();
+  }
+}
+
+// ISO 8601 style: 2025-03-11T14:19:10+00:00
+function formatUTCAsISO8601(dateObj) {
+  const year = dateObj.getUTCFullYear();
+  const month = String(dateObj.getUTCMonth() + 1).padStart(2, '0');
+  const day = String(dateObj.getUTCDate()).padStart(2, '0');
+  const hours = String(dateObj.getUTCHours()).padStart(2, '0');
+  const mins = String(dateObj.getUTCMinutes()).padStart(2, '0');
+  const secs = String(dateObj.getUTCSeconds()).padStart(2, '0');
+  return `${year}-${month}-${day}T${hours}:${mins}:${secs}+00:00`;
+}
+
+// Simple UTC style: 2025-03-11T14:19:10Z
+function formatUTCAsSimple(dateObj) {
+  const year = dateObj.getUTCFullYear();
+  const month = String(dateObj.getUTCMonth() + 1).padStart(2, '0');
+  const day = String(dateObj.getUTCDate()).padStart(2, '0');
+  const hours = String(dateObj.getUTCHours()).padStart(2, '0');
+  const mins = String(dateObj.getUTCMinutes()).padStart(2, '0');
+  const secs = String(dateObj.getUTCSeconds()).padStart(2, '0');
+  return `${year}-${month}-${day}T${hours}:${mins}:${secs}Z`;
+}
+
+
+// Node (CLI, tests): the page gets the same functions as globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    TOOL_NAME,
+    TOOL_VERSION,
+    TOOL_DOI,
+    REDDIT_ORIGIN,
+    COMMENT_COLUMNS,
+    parseRedditUrl,
+    isBarePostId,
+    buildThreadEndpoint,
+    extractPostInfo,
+    buildTableData,
+    isThreadResponse,
+    parseThreadResponse,
+    parseThreadResponseChunked,
+    expandMoreStubs,
+    formatCommentCell,
+    formatCompactBody,
+    buildCommentsCsv,
+    buildCsv,
+    convertToCsvRow,
+    withEpochColumns,
+    CSV_DELIMITERS,
+    formatFileName,
+    formatDate
+  };
+}
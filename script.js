@@ -9,7 +9,6 @@
 // =========================
 // Global Variables & State
 // =========================
-let http = new XMLHttpRequest();
 let tableData = [];
 let tableBuilt = false;
 
@@ -17,18 +16,41 @@ let tableBuilt = false;
 let selectedDateFormat = 'iso8601'; // iso8601 | rfc1123 | utc
 let isCompactMode = false;
 let removeNewlines = false;
+let renderMarkdownBodies = false; // table/HTML copy show rendered markdown instead of raw text
+let expandMoreComments = true;
+let commentSort = 'confidence'; // confidence (best) | top | new | controversial | old | qa
+let maxCommentDepth = null;     // null = Reddit's default
+let commentLimit = null;        // null = Reddit's default
+
+// Replies behind "load more comments" stubs that could not be resolved
+let unresolvedMoreCount = 0;
 
 // We'll store info about the post itself
 let postInfo = null;
 
+// Batch mode: info for every post, in input order (rows carry postId)
+let batchPosts = [];
+let isBatchMode = false;
+
+// One { postId, sourceUrl, fetchedAt } entry per fetched post, for export manifests
+let fetchLog = [];
+
 
 // =========================
 // INITIAL LOADING
 // =========================
 function onDocumentReady() {
+  initAnonymizeSettings();
+  refreshSnapshotList();
+  codebook = loadCodebook();
+  renderCodebook();
+  renderColumnChooser();
+  document.getElementById('table-wrapper').addEventListener('click', onTableButtonClick);
+
   const preFilledUrl = getQueryParamUrl();
   if (preFilledUrl) {
     document.getElementById('url-field').value = preFilledUrl;
+    onUrlFieldInput();
     startExport();
   }
 }
@@ -46,26 +68,59 @@ function startExport() {
   const url = getFieldUrl();
   if (!url) {
     console.log('No URL provided');
-    alert('Please enter a valid Reddit post URL before exporting.');
+    showUrlError('Please enter a Reddit post URL or post ID before exporting.');
     return;
   }
+  if (!parseRedditUrl(url)) {
+    showUrlError(INVALID_URL_MESSAGE);
+    return;
+  }
+  showUrlError('');
+
+  resetExportState();
+  beginFetch();
+  setFetchStatus('Fetching thread...');
+  fetchData(url);
+}
 
-  // Read user preferences
+// Read user preferences, clear previous results and hide the output blocks
+function resetExportState() {
   selectedDateFormat = document.querySelector('input[name="dateFormat"]:checked').value;
   isCompactMode = document.getElementById('compactMode').checked;
   removeNewlines = document.getElementById('escapeNewLine').checked;
+  expandMoreComments = document.getElementById('expandMore').checked;
+  commentSort = document.getElementById('commentSort').value;
+  maxCommentDepth = readPositiveInt('maxDepth');
+  commentLimit = readPositiveInt('commentLimit');
+  readAnonymizeSettings();
 
-  // Reset data
   tableData = [];
   tableBuilt = false;
+  sortKeys = [];
+  linkedRowKey = null;
   postInfo = null;
+  batchPosts = [];
+  isBatchMode = false;
+  fetchLog = [];
+  unresolvedMoreCount = 0;
+  closeAnnotationEditor();
 
-  // Hide existing UI blocks
   document.getElementById('post-info-block').classList.add('hidden');
   document.getElementById('output-block').classList.add('hidden');
+  document.getElementById('thread-reader').classList.add('hidden');
   document.getElementById('visualization-panel').classList.add('hidden');
+  document.getElementById('analytics-panel').classList.add('hidden');
 
-  fetchData(url);
+  // A drawing of the previous thread must not link to the new table
+  document.getElementById('viz-container').innerHTML = '';
+  document.getElementById('viz-comment-detail').innerHTML = '';
+  vizFocusNode = null;
+}
+
+// Number inputs left empty (or invalid) mean "Reddit's default"
+function readPositiveInt(id) {
+  const value = parseInt(document.getElementById(id).value, 10);
+  return value > 0 ? value : null;
 }
 
 // Grab the text field value
@@ -78,387 +133,3328 @@ function getFieldUrl() {
 // FETCH DATA
 // =========================
 function fetchData(url) {
-  http.open('GET', url + '.json');
-  http.responseType = 'json';
-  http.send();
-
-  http.onload = function () {
-    const response = http.response;
-    if (!response || response.error) {
-      console.error('Error fetching Reddit JSON', response);
-      alert('Error: Could not retrieve data from Reddit. Please check the URL.');
+  const controller = fetchController;
+  fetchThread(url, setFetchStatus, getCommentScope()).then(thread => {
+    if (isSuperseded(controller)) return;
+    postInfo = thread.postInfo;
+    tableData = thread.rows;
+
+    renderPostInfo(postInfo);
+    showResults();
+    storeSnapshot(thread);
+  }).catch(err => {
+    if (isCancelled(err)) {
+      if (!isSuperseded(controller)) setFetchStatus('Export cancelled.');
       return;
     }
+    console.error('Error fetching Reddit JSON', err);
+    setFetchStatus('');
+    alert(`Error: Could not retrieve data from Reddit. ${err.kind ? err.message : 'Please check the URL.'}`);
+  }).finally(() => endFetch(controller));
+}
 
-    // The first array (response[0]) has post info
-    const post = response[0].data.children[0].data;
-    postInfo = extractPostInfo(post);
+/**
+ * Fetch one post and its comment tree.
+ * Resolves to { postInfo, rows, source } and only records the fetch
+ * (source) in fetchLog, so single and batch exports can share it.
+ * `url` is anything parseRedditUrl accepts. For comment permalinks,
+ * commentScope picks the whole thread or the subthread with N levels of
+ * context; by default the subthread is exported with the link's ?context.
+ */
+async function fetchThread(url, onProgress, commentScope = null) {
+  let target = parseRedditUrl(url);
+  if (!target) {
+    throw fetchError('invalid-url', `${INVALID_URL_MESSAGE} (${url})`);
+  }
+  if (target.shareUrl) {
+    onProgress('Resolving share link...');
+    target = await resolveShareLink(target.shareUrl);
+  }
+  const scope = commentScope || { mode: 'subthread', context: target.context || 0 };
+  if (scope.mode === 'thread') target = { ...target, commentId: null };
 
-    // The second array (response[1]) has the comments
-    const comments = response[1].data.children;
-    buildTableData(comments, []);
+  const endpoint = buildThreadEndpoint(target, {
+    sort: commentSort,
+    depth: maxCommentDepth,
+    limit: commentLimit,
+    context: scope.context
+  });
+  const response = await getJson(endpoint);
+  if (!isThreadResponse(response)) {
+    throw fetchError('not-a-thread', `This URL does not point to a Reddit post: ${url}`);
+  }
 
-    // Render UI elements
-    renderPostInfo(postInfo);
-    renderTable(tableData);
+  // Resolve "load more comments" stubs before numbering the tree
+  if (expandMoreComments) {
+    try {
+      const failed = await expandMoreStubs(response[1].data.children, response[0].data.children[0].data, {
+        getJson,
+        wait: ms => delay(ms, fetchSignal()),
+        sort: commentSort,
+        maxDepth: maxCommentDepth,
+        isCancelled,
+        onProgress: (message, fraction) => {
+          onProgress(message);
+          if (!isBatchMode) setFetchProgress(fraction);
+        }
+      });
+      failed.forEach(({ parentName, error }) => {
+        console.error(`Could not load more comments under ${parentName}`, error);
+      });
+    } catch (err) {
+      if (isCancelled(err)) throw err;
+      console.error('Error expanding "load more comments" stubs', err);
+    }
+  }
 
-    // Enable Copy/Download
-    document.getElementById('download-btn').disabled = false;
-    document.getElementById('copy-btn').disabled = false;
+  const thread = await threadFromResponse(response, url, new Date().toISOString(), maxCommentDepth, onProgress);
+  // Comment order and truncation depend on these, so exports from different settings aren't comparable
+  Object.assign(thread.source, { endpoint, sort: commentSort, maxDepth: maxCommentDepth, limit: commentLimit });
+  fetchLog.push(thread.source);
+  unresolvedMoreCount += thread.unresolvedMoreCount;
+  return thread;
+}
 
-    // Show the visualization panel
-    document.getElementById('visualization-panel').classList.remove('hidden');
+// Turn Reddit's [post listing, comment listing] pair into { postInfo, rows, source }.
+// Numbering runs in chunks, so a thread with thousands of comments doesn't freeze the page.
+// maxDepth is the depth the thread was fetched with; imported files pass null and keep every reply.
+async function threadFromResponse(response, sourceUrl, fetchedAt, maxDepth, onProgress) {
+  const thread = await parseThreadResponseChunked(response, maxDepth,
+    count => onProgress(`Numbering comments... ${count}`));
+  const source = {
+    postId: thread.postInfo.id,
+    sourceUrl,
+    fetchedAt,
+    unresolvedMoreCount: thread.unresolvedMoreCount
   };
+  return { postInfo: thread.postInfo, rows: thread.rows, source };
 }
 
 // =========================
-// EXTRACT POST INFO
+// REDDIT URLS
 // =========================
-function extractPostInfo(p) {
-  return {
-    title: p.title || '',
-    selftext: p.selftext || '',
-    author: p.author || '[deleted]',
-    permalink: p.permalink || '',
-    ups: p.ups || 0,
-    downs: p.downs || 0,
-    score: (typeof p.score === 'number') ? p.score : (p.ups - p.downs),
-    dateUtc: p.created_utc || null
-  };
+// Parsing lives in core.js (parseRedditUrl, buildThreadEndpoint); this part
+// resolves share links and validates the URL field.
+
+const INVALID_URL_MESSAGE = 'This does not look like a Reddit post. Paste a post or comment link '
+  + '(reddit.com, old.reddit.com, redd.it or a share link) or a post ID such as "t3_gbkmga".';
+
+// Share links redirect to the real permalink; follow the redirect and parse where it lands
+async function resolveShareLink(shareUrl) {
+  const signal = fetchSignal();
+  let response;
+  try {
+    response = await fetch(shareUrl, { signal });
+  } catch (err) {
+    if (signal && signal.aborted) throw fetchError('cancelled', 'The export was cancelled.');
+    response = null;
+  }
+  const target = response && parseRedditUrl(response.url);
+  if (!target || target.shareUrl) {
+    throw fetchError('share-link', 'Reddit did not reveal where this share link points. Open it in your '
+      + 'browser and paste the full post URL instead.');
+  }
+  return target;
+}
+
+// Inline validation under the URL field; also offers the comment-permalink options
+function onUrlFieldInput() {
+  const value = getFieldUrl();
+  const target = value ? parseRedditUrl(value) : null;
+  showUrlError(value && !target ? INVALID_URL_MESSAGE : '');
+
+  const isComment = !!(target && target.commentId);
+  document.getElementById('comment-scope').classList.toggle('hidden', !isComment);
+  if (isComment && target.context) {
+    document.getElementById('comment-context').value = target.context;
+    document.querySelector('input[name="commentScope"][value="context"]').checked = true;
+  }
+}
+
+function showUrlError(message) {
+  const el = document.getElementById('url-error');
+  el.textContent = message;
+  el.classList.toggle('hidden', !message);
+  document.getElementById('url-field').parentElement.classList.toggle('has-error', !!message);
+}
+
+// What to export when the single URL is a comment permalink
+function getCommentScope() {
+  const mode = document.querySelector('input[name="commentScope"]:checked').value;
+  if (mode === 'thread') return { mode: 'thread' };
+  const context = Math.min(MAX_COMMENT_CONTEXT,
+    Math.max(1, parseInt(document.getElementById('comment-context').value, 10) || 1));
+  return { mode: 'subthread', context: mode === 'context' ? context : 0 };
+}
+
+// Render the table and enable the outputs once tableData is filled
+function showResults() {
+  renderTable(tableData);
+  setFetchStatus(describeFetchResult());
+
+  // Enable Copy/Download
+  document.getElementById('download-btn').disabled = false;
+  document.getElementById('download-json-btn').disabled = false;
+  document.getElementById('download-xlsx-btn').disabled = false;
+  document.getElementById('download-ods-btn').disabled = false;
+  document.getElementById('download-network-btn').disabled = false;
+  document.getElementById('copy-btn').disabled = false;
+
+  // Show the visualization panel
+  populateVizPostSelect();
+  document.getElementById('visualization-panel').classList.remove('hidden');
+
+  // Analytics are computed on demand; drop any from the previous thread
+  populateAnalyticsPostSelect();
+  threadStats = null;
+  ['analytics-summary', 'analytics-timeline', 'analytics-scores', 'analytics-authors'].forEach(id => {
+    document.getElementById(id).innerHTML = '';
+  });
+  document.getElementById('download-stats-btn').disabled = true;
+  document.getElementById('analytics-panel').classList.remove('hidden');
 }
 
 // =========================
-// BUILD TABLE DATA
+// BATCH EXPORT
 // =========================
-// Recursively process the comment tree with prefix numbering (1,1.1,1.2,...)
-function buildTableData(comments, prefixArr) {
-  if (!comments || !comments.length) return;
+const BATCH_DELAY_MS = 2000; // pause between posts to stay under the rate limit
 
-  let count = 0;
-  comments.forEach(child => {
-    if (child.kind === 'more') {
-      return;
+/**
+ * Export every URL from the batch list in sequence into one combined
+ * dataset. Failed posts are skipped and listed in the final status.
+ */
+async function startBatchExport() {
+  const urls = parseUrlList(document.getElementById('batch-urls').value);
+  if (!urls.length) {
+    alert('Please paste or upload at least one Reddit post URL for the batch.');
+    return;
+  }
+
+  resetExportState();
+  isBatchMode = true;
+  const controller = beginFetch();
+
+  const failed = [];
+  let cancelled = false;
+  for (let i = 0; i < urls.length && !cancelled; i++) {
+    const prefix = `Post ${i + 1} of ${urls.length}`;
+    setFetchStatus(`${prefix}: fetching ${urls[i]}`);
+    setFetchProgress(i / urls.length);
+    try {
+      const thread = await fetchThread(urls[i], msg => setFetchStatus(`${prefix}: ${msg}`));
+      if (isSuperseded(controller)) return;
+      batchPosts.push(thread.postInfo);
+      // A loop, not push(...rows): spreading a huge thread into arguments overflows the call stack
+      thread.rows.forEach(row => tableData.push(row));
+      storeSnapshot(thread);
+    } catch (err) {
+      if (isCancelled(err)) {
+        cancelled = true;
+      } else {
+        console.error('Batch: could not export', urls[i], err);
+        failed.push(`${urls[i]} (${err.message})`);
+      }
     }
+    if (!cancelled && i < urls.length - 1) {
+      await delay(BATCH_DELAY_MS, fetchSignal()).catch(() => { cancelled = true; });
+    }
+  }
+  if (isSuperseded(controller)) return;
+  endFetch(controller);
 
-    let c = child.data;
-    count++;
-    let numberingArray = [...prefixArr, count];
-    let numberingString = numberingArray.join('.');
-
-    const row = {
-      numbering: numberingString,
-      level: numberingArray.length,
-      body: c.body ? c.body : '[deleted]',
-      author: c.author ? c.author : '[deleted]',
-      upvotes: c.ups || 0,
-      downvotes: c.downs || 0,
-      score: (typeof c.score === 'number') ? c.score : (c.ups - c.downs),
-      dateUtc: c.created_utc ? c.created_utc : null
-    };
+  if (!batchPosts.length) {
+    setFetchStatus(cancelled ? 'Export cancelled.' : '');
+    if (!cancelled) alert('Error: None of the batch URLs could be retrieved from Reddit.');
+    return;
+  }
 
-    tableData.push(row);
+  renderBatchInfo(batchPosts);
+  showResults();
+  const notes = [];
+  if (cancelled) notes.push(`Cancelled after ${batchPosts.length + failed.length} of ${urls.length} posts.`);
+  if (failed.length) notes.push(`Failed (${failed.length}): ${failed.join(', ')}`);
+  if (notes.length) {
+    setFetchStatus(`${describeFetchResult()} ${notes.join(' ')}`);
+  }
+}
 
-    // Recurse for replies
-    if (c.replies && c.replies.data && c.replies.data.children) {
-      buildTableData(c.replies.data.children, numberingArray);
-    }
+// Pull every http(s) URL, and lines holding just a post ID, out of pasted text or an uploaded .txt/.csv.
+// Entries for the same post (or comment) count once, however they are written.
+function parseUrlList(text) {
+  const matches = text.match(/https?:\/\/[^\s,;"'<>]+/g) || [];
+  const ids = text.split(/\r?\n/).map(line => line.trim()).filter(isBarePostId);
+  const seen = new Set();
+  return [...matches.map(u => u.replace(/\/+$/, '')), ...ids].filter(input => {
+    const target = parseRedditUrl(input);
+    const key = target && target.postId ? `${target.postId}|${target.commentId || ''}` : input;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
   });
 }
 
+// Read an uploaded URL list into the batch textarea
+function loadBatchFile(input) {
+  const file = input.files && input.files[0];
+  if (!file) return;
+  const reader = new FileReader();
+  reader.onload = () => {
+    document.getElementById('batch-urls').value = parseUrlList(reader.result).join('\n');
+  };
+  reader.readAsText(file);
+}
 
-// =========================
-// RENDER POST INFO
-// =========================
-function renderPostInfo(post) {
+// In batch mode the post info block lists every post instead of one
+function renderBatchInfo(posts) {
+  posts = posts.map(anonymizePost);
   const block = document.getElementById('post-info-block');
   block.classList.remove('hidden');
-  const postDate = formatDate(post.dateUtc);
 
-  let html = `
-    <p><strong>Title:</strong> ${escapeHtml(post.title)}</p>
-    <p><strong>Author:</strong> ${escapeHtml(post.author)}</p>
-    <p><strong>Date (UTC):</strong> ${escapeHtml(postDate)}</p>
-    <p><strong>Upvotes:</strong> ${post.ups}</p>
-    <p><strong>Downvotes:</strong> ${post.downs}</p>
-    <p><strong>Score:</strong> ${post.score}</p>
-    <p><strong>Permalink:</strong>
-      <a href="https://www.reddit.com${post.permalink}" target="_blank">View Post</a>
-    </p>
+  const counts = {};
+  tableData.forEach(row => { counts[row.postId] = (counts[row.postId] || 0) + 1; });
+
+  document.getElementById('post-info').innerHTML = `
+    <table class="table table-condensed">
+      <thead>
+        <tr>
+          <th>Post ID</th><th>Subreddit</th><th>Title</th><th>Author</th><th>Date (UTC)</th><th>Score</th>
+          <th>Comments</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${posts.map(post => `
+          <tr>
+            <td><a href="https://www.reddit.com${post.permalink}" target="_blank">${escapeHtml(post.id)}</a></td>
+            <td>${escapeHtml(post.subreddit)}</td>
+            <td>${escapeHtml(post.title)}</td>
+            <td>${escapeHtml(post.author)}</td>
+            <td>${escapeHtml(formatDate(post.dateUtc, selectedDateFormat))}</td>
+            <td>${post.score}</td>
+            <td>${counts[post.id] || 0}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
   `;
-  if (post.selftext) {
-    html += `
-      <p><strong>Self Text:</strong></p>
-      <pre>${escapeHtml(post.selftext)}</pre>
-    `;
-  }
-  document.getElementById('post-info').innerHTML = html;
 }
 
 
 // =========================
-// RENDER TABLE
+// LISTING HARVESTER
 // =========================
-function renderTable(data) {
-  document.getElementById('output-block').classList.remove('hidden');
-  const tableWrapper = document.getElementById('table-wrapper');
+const LISTING_DELAY_MS = 1000; // pause between listing pages
+const LISTING_PAGE_SIZE = 100; // Reddit's maximum per page
+const SUBREDDIT_SORTS = ['hot', 'new', 'top', 'rising', 'controversial'];
+const SEARCH_SORTS = ['relevance', 'hot', 'top', 'new', 'comments'];
 
-  let html = '';
-  if (isCompactMode) {
-    // 2 columns => Number, Body+metadata
-    html = `
-      <table id="output-table" class="table table-hover">
-        <thead>
+// Posts found by the last harvest, in listing order
+let listingPosts = [];
+
+/**
+ * Parse a subreddit or search URL into a listing description.
+ * Accepts /r/sub, /r/sub/{sort}, /search?q=... and /r/sub/search?q=...;
+ * returns null for anything else (e.g. a post permalink).
+ */
+function parseListingUrl(input) {
+  let u;
+  try {
+    u = new URL(input);
+  } catch (e) {
+    return null;
+  }
+  if (!/(^|\.)reddit\.com$/.test(u.hostname)) return null;
+
+  const parts = u.pathname.replace(/\.json$/, '').split('/').filter(Boolean);
+  const params = u.searchParams;
+  const isSub = parts[0] === 'r' && parts[1];
+
+  if (parts[parts.length - 1] === 'search' && params.get('q')) {
+    return {
+      kind: 'search',
+      subreddit: isSub ? parts[1] : null,
+      q: params.get('q'),
+      sort: SEARCH_SORTS.includes(params.get('sort')) ? params.get('sort') : 'relevance',
+      t: params.get('t') || 'all'
+    };
+  }
+  if (isSub && parts.length <= 3 && !parts.includes('comments')) {
+    return {
+      kind: 'subreddit',
+      subreddit: parts[1],
+      sort: SUBREDDIT_SORTS.includes(parts[2]) ? parts[2] : 'hot',
+      t: params.get('t') || 'day'
+    };
+  }
+  return null;
+}
+
+// Pre-select sort and time window from the URL the user typed
+function syncListingOptionsFromUrl() {
+  const listing = parseListingUrl(document.getElementById('listing-url').value.trim());
+  if (!listing) return;
+  document.getElementById('listing-sort').value = listing.sort;
+  document.getElementById('listing-time').value = listing.t;
+}
+
+function buildListingEndpoint(listing, sort, t, limit, after) {
+  const params = new URLSearchParams({ limit: String(limit), raw_json: '1' });
+  if (after) params.set('after', after);
+
+  if (listing.kind === 'search') {
+    params.set('q', listing.q);
+    params.set('sort', SEARCH_SORTS.includes(sort) ? sort : 'relevance');
+    params.set('t', t);
+    if (listing.subreddit) params.set('restrict_sr', '1');
+    const path = listing.subreddit ? `/r/${listing.subreddit}/search.json` : '/search.json';
+    return `${REDDIT_ORIGIN}${path}?${params}`;
+  }
+
+  const subSort = SUBREDDIT_SORTS.includes(sort) ? sort : 'hot';
+  if (subSort === 'top' || subSort === 'controversial') params.set('t', t);
+  return `${REDDIT_ORIGIN}/r/${listing.subreddit}/${subSort}.json?${params}`;
+}
+
+/**
+ * Follow the listing's `after` cursor page by page until the user's limit
+ * is reached or Reddit runs out of posts, then show the selectable results.
+ */
+async function startListingHarvest() {
+  const listing = parseListingUrl(document.getElementById('listing-url').value.trim());
+  if (!listing) {
+    alert('Please enter a subreddit URL (e.g. https://www.reddit.com/r/AskHistorians/top) or a Reddit search URL.');
+    return;
+  }
+  const sort = document.getElementById('listing-sort').value;
+  const t = document.getElementById('listing-time').value;
+  const limit = Math.max(1, parseInt(document.getElementById('listing-limit').value, 10) || 100);
+
+  listingPosts = [];
+  document.getElementById('listing-results').innerHTML = '';
+  document.getElementById('listing-export-btn').disabled = true;
+  const controller = beginFetch();
+
+  let after = null;
+  let cancelled = false;
+  try {
+    do {
+      setFetchStatus(`Harvesting listing: ${listingPosts.length} of up to ${limit} posts...`);
+      const pageSize = Math.min(LISTING_PAGE_SIZE, limit - listingPosts.length);
+      const response = await getJson(buildListingEndpoint(listing, sort, t, pageSize, after));
+      if (!response.data || !response.data.children) {
+        throw new Error('Unexpected listing response');
+      }
+      response.data.children
+        .filter(child => child.kind === 't3')
+        .forEach(child => listingPosts.push(extractPostInfo(child.data)));
+      after = response.data.after;
+      setFetchProgress(listingPosts.length / limit);
+      if (after && listingPosts.length < limit) await delay(LISTING_DELAY_MS, fetchSignal());
+    } while (after && listingPosts.length < limit);
+  } catch (err) {
+    if (isCancelled(err)) {
+      cancelled = true;
+    } else {
+      console.error('Error harvesting listing', err);
+      alert(`Error: Could not retrieve the listing from Reddit. ${err.kind ? err.message : ''} Posts found so far are shown.`);
+    }
+  }
+  if (isSuperseded(controller)) return;
+  endFetch(controller);
+
+  listingPosts = listingPosts.slice(0, limit);
+  setFetchStatus(`${cancelled ? 'Cancelled. ' : ''}Found ${listingPosts.length} posts.`);
+  renderListingResults(listingPosts);
+}
+
+function renderListingResults(posts) {
+  posts = posts.map(anonymizePost);
+  const wrapper = document.getElementById('listing-results');
+  if (!posts.length) {
+    wrapper.innerHTML = '<p class="help-block">No posts found.</p>';
+    return;
+  }
+
+  wrapper.innerHTML = `
+    <table class="table table-condensed table-hover">
+      <thead>
+        <tr>
+          <th><input type="checkbox" onclick="toggleAllListingPosts(this.checked)" checked></th>
+          <th>Title</th>
+          <th>Subreddit</th>
+          <th>Author</th>
+          <th>Date (UTC)</th>
+          <th>Score</th>
+          <th>Comments</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${posts.map((post, i) => `
           <tr>
-            <th onclick="sortTable('numbering')">Number</th>
-            <th onclick="sortTable('body')">Body (Compact)</th>
+            <td><input type="checkbox" class="listing-select" value="${i}" checked></td>
+            <td><a href="https://www.reddit.com${post.permalink}" target="_blank">${escapeHtml(post.title)}</a></td>
+            <td>${escapeHtml(post.subreddit)}</td>
+            <td>${escapeHtml(post.author)}</td>
+            <td>${escapeHtml(formatDate(post.dateUtc, selectedDateFormat))}</td>
+            <td>${post.score}</td>
+            <td>${post.numComments}</td>
           </tr>
-        </thead>
-        <tbody>
-          ${data.map(row => {
-            const dateString = formatDate(row.dateUtc);
-            const meta = `(by ${escapeHtml(row.author)}, ${dateString}, ↑↓ ${row.score})`;
-            let bodyHtml = formatBodyForHtml(row.body) + ' ' + escapeHtml(meta);
-            return `
-              <tr>
-                <td>${escapeHtml(row.numbering)}</td>
-                <td>${bodyHtml}</td>
-              </tr>
-            `;
-          }).join('')}
-        </tbody>
-      </table>
-    `;
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+  document.getElementById('listing-export-btn').disabled = false;
+}
+
+function toggleAllListingPosts(checked) {
+  document.querySelectorAll('.listing-select').forEach(box => { box.checked = checked; });
+}
+
+// Send the selected posts through the normal single or batch export
+function exportSelectedListingPosts() {
+  const urls = [...document.querySelectorAll('.listing-select:checked')]
+    .map(box => `https://www.reddit.com${listingPosts[box.value].permalink}`.replace(/\/+$/, ''));
+  if (!urls.length) {
+    alert('Please select at least one post.');
+    return;
+  }
+
+  if (urls.length === 1) {
+    document.getElementById('url-field').value = urls[0];
+    startExport();
   } else {
-    // 7 columns => Number, Level, Body, Author, Date, Upvotes, Downvotes
-    html = `
-      <table id="output-table" class="table table-hover">
-        <thead>
+    document.getElementById('batch-urls').value = urls.join('\n');
+    startBatchExport();
+  }
+}
+
+
+// =========================
+// SNAPSHOTS (IndexedDB)
+// =========================
+// Every fetch can be kept as a snapshot { snapshotId, postId, title, fetchedAt,
+// sourceUrl, postInfo, rows } so it can be reopened offline and compared
+// with a later fetch of the same post.
+const SNAPSHOT_DB_NAME = 'redditDataTool';
+const SNAPSHOT_STORE = 'snapshots';
+
+// Comparison of the last two snapshots diffed, for the CSV download
+let snapshotDiff = [];
+
+function openSnapshotDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(SNAPSHOT_DB_NAME, 1);
+    req.onupgradeneeded = () => {
+      const store = req.result.createObjectStore(SNAPSHOT_STORE, { keyPath: 'snapshotId', autoIncrement: true });
+      store.createIndex('postId', 'postId');
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Run one request against the snapshot store and resolve with its result
+async function snapshotRequest(mode, makeRequest) {
+  const db = await openSnapshotDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(SNAPSHOT_STORE, mode);
+    const req = makeRequest(tx.objectStore(SNAPSHOT_STORE));
+    tx.oncomplete = () => {
+      db.close();
+      resolve(req.result);
+    };
+    tx.onerror = () => {
+      db.close();
+      reject(tx.error);
+    };
+  });
+}
+
+// Save a freshly fetched thread; failures only go to the console
+function storeSnapshot(thread) {
+  if (!document.getElementById('saveSnapshots').checked || !window.indexedDB) return;
+
+  const snapshot = {
+    postId: thread.postInfo.id,
+    title: thread.postInfo.title,
+    fetchedAt: thread.source.fetchedAt,
+    sourceUrl: thread.source.sourceUrl,
+    unresolvedMoreCount: thread.source.unresolvedMoreCount,
+    commentSort: thread.source.sort,
+    postInfo: thread.postInfo,
+    rows: thread.rows
+  };
+  snapshotRequest('readwrite', store => store.add(snapshot))
+    .then(refreshSnapshotList)
+    .catch(err => console.error('Could not save snapshot', err));
+}
+
+function getAllSnapshots() {
+  return snapshotRequest('readonly', store => store.getAll());
+}
+
+function getSnapshot(snapshotId) {
+  return snapshotRequest('readonly', store => store.get(snapshotId));
+}
+
+async function refreshSnapshotList() {
+  const wrapper = document.getElementById('snapshot-list');
+  if (!window.indexedDB) {
+    wrapper.innerHTML = '<p class="help-block">This browser does not support IndexedDB, so snapshots are unavailable.</p>';
+    return;
+  }
+
+  let snapshots;
+  try {
+    snapshots = await getAllSnapshots();
+  } catch (err) {
+    console.error('Could not read snapshots', err);
+    wrapper.innerHTML = '<p class="help-block">Snapshots could not be read from browser storage.</p>';
+    return;
+  }
+  if (!snapshots.length) {
+    wrapper.innerHTML = '<p class="help-block">No snapshots saved yet.</p>';
+    return;
+  }
+
+  // Group by post, newest fetch first within each post
+  snapshots.sort((a, b) => a.postId.localeCompare(b.postId) || b.fetchedAt.localeCompare(a.fetchedAt));
+  wrapper.innerHTML = `
+    <table class="table table-condensed">
+      <thead>
+        <tr><th>Compare</th><th>Post ID</th><th>Title</th><th>Fetched (UTC)</th><th>Comments</th><th></th></tr>
+      </thead>
+      <tbody>
+        ${snapshots.map(snap => `
           <tr>
-            <th onclick="sortTable('numbering')">Number</th>
-            <th onclick="sortTable('level')">Level</th>
-            <th onclick="sortTable('body')">Body</th>
-            <th onclick="sortTable('author')">Author</th>
-            <th onclick="sortTable('dateUtc')">Date (UTC)</th>
-            <th onclick="sortTable('upvotes')">Upvotes</th>
-            <th onclick="sortTable('downvotes')">Downvotes</th>
+            <td><input type="checkbox" class="snapshot-select" value="${snap.snapshotId}"></td>
+            <td>${escapeHtml(snap.postId)}</td>
+            <td>${escapeHtml(createSnippet(snap.title))}</td>
+            <td>${escapeHtml(formatDate(Date.parse(snap.fetchedAt) / 1000, selectedDateFormat))}</td>
+            <td>${snap.rows.length}</td>
+            <td>
+              <button class="btn btn-default btn-xs" onclick="openSnapshot(${snap.snapshotId})">Open</button>
+              <button class="btn btn-danger btn-xs" onclick="deleteSnapshot(${snap.snapshotId})">Delete</button>
+            </td>
           </tr>
-        </thead>
-        <tbody>
-          ${data.map(row => {
-            const dateString = formatDate(row.dateUtc);
-            let bodyHtml = formatBodyForHtml(row.body);
-            return `
-              <tr>
-                <td>${escapeHtml(row.numbering)}</td>
-                <td>${row.level}</td>
-                <td>${bodyHtml}</td>
-                <td>${escapeHtml(row.author)}</td>
-                <td>${escapeHtml(dateString)}</td>
-                <td>${row.upvotes}</td>
-                <td>${row.downvotes}</td>
-              </tr>
-            `;
-          }).join('')}
-        </tbody>
-      </table>
-    `;
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+// Load a stored snapshot into the table and visualization, no network needed
+async function openSnapshot(snapshotId) {
+  const snap = await getSnapshot(snapshotId);
+  if (!snap) {
+    alert('Snapshot not found.');
+    return;
   }
 
-  tableWrapper.innerHTML = html;
-  tableBuilt = true;
+  supersedeFetch();
+  resetExportState();
+  postInfo = snap.postInfo;
+  tableData = snap.rows;
+  unresolvedMoreCount = snap.unresolvedMoreCount || 0;
+  fetchLog = [{ postId: snap.postId, sourceUrl: snap.sourceUrl, fetchedAt: snap.fetchedAt,
+                unresolvedMoreCount: unresolvedMoreCount, sort: snap.commentSort || null }];
+
+  renderPostInfo(postInfo);
+  showResults();
+  setFetchStatus(`Opened snapshot from ${snap.fetchedAt}. ${describeFetchResult()}`);
 }
 
+async function deleteSnapshot(snapshotId) {
+  if (!confirm('Delete this snapshot from browser storage?')) return;
+  await snapshotRequest('readwrite', store => store.delete(snapshotId));
+  refreshSnapshotList();
+}
 
-// =========================
-// DATE FORMATTING
-// =========================
-function formatDate(utcSeconds) {
-  if (!utcSeconds) return '';
-  const d = new Date(utcSeconds * 1000);
-  switch (selectedDateFormat) {
-    case 'iso8601':
-      return formatUTCAsISO8601(d);
-    case 'rfc1123':
-      return d.toUTCString();
-    case 'utc':
-      return formatUTCAsSimple(d);
-    default:
-      return d.toISOString();
+// Diff the two ticked snapshots, older one first
+async function compareSelectedSnapshots() {
+  const ids = [...document.querySelectorAll('.snapshot-select:checked')].map(box => Number(box.value));
+  if (ids.length !== 2) {
+    alert('Please tick exactly two snapshots of the same post to compare.');
+    return;
+  }
+
+  const [a, b] = (await Promise.all(ids.map(getSnapshot)))
+    .sort((x, y) => x.fetchedAt.localeCompare(y.fetchedAt));
+  if (a.postId !== b.postId) {
+    alert('Only snapshots of the same post can be compared.');
+    return;
   }
+
+  snapshotDiff = diffSnapshots(getOutputRows(a.rows), getOutputRows(b.rows));
+  renderSnapshotDiff(a, b, snapshotDiff);
+}
+
+/**
+ * Compare two fetches of the same post by comment ID.
+ * Each entry is { change, id, numberingOld, numberingNew, author,
+ * scoreOld, scoreNew, bodyOld, bodyNew } where change is one of
+ * new | gone | deleted | removed | edited | score.
+ * A comment that was edited and changed score is reported as edited.
+ */
+function diffSnapshots(oldRows, newRows) {
+  const oldById = {};
+  oldRows.filter(row => row.id).forEach(row => { oldById[row.id] = row; });
+  const seen = new Set();
+  const diff = [];
+
+  const entry = (change, before, after) => ({
+    change,
+    id: (after || before).id,
+    numberingOld: before ? before.numbering : '',
+    numberingNew: after ? after.numbering : '',
+    author: (before && before.author !== '[deleted]' ? before : after || before).author,
+    scoreOld: before ? before.score : '',
+    scoreNew: after ? after.score : '',
+    bodyOld: before ? before.body : '',
+    bodyNew: after ? after.body : ''
+  });
+
+  newRows.filter(row => row.id).forEach(after => {
+    const before = oldById[after.id];
+    seen.add(after.id);
+    if (!before) {
+      diff.push(entry('new', null, after));
+    } else if (after.body !== before.body && ['[deleted]', '[removed]'].includes(after.body)) {
+      diff.push(entry(after.body === '[removed]' ? 'removed' : 'deleted', before, after));
+    } else if (after.body !== before.body) {
+      diff.push(entry('edited', before, after));
+    } else if (after.score !== before.score) {
+      diff.push(entry('score', before, after));
+    }
+  });
+  oldRows.filter(row => row.id && !seen.has(row.id)).forEach(before => {
+    diff.push(entry('gone', before, null));
+  });
+
+  return diff;
 }
 
-// ISO 8601 style: 2025-03-11T14:19:10+00:00
-function formatUTCAsISO8601(dateObj) {
-  const year = dateObj.getUTCFullYear();
-  const month = String(dateObj.getUTCMonth() + 1).padStart(2, '0');
-  const day = String(dateObj.getUTCDate()).padStart(2, '0');
-  const hours = String(dateObj.getUTCHours()).padStart(2, '0');
-  const mins = String(dateObj.getUTCMinutes()).padStart(2, '0');
-  const secs = String(dateObj.getUTCSeconds()).padStart(2, '0');
-  return `${year}-${month}-${day}T${hours}:${mins}:${secs}+00:00`;
+const DIFF_LABELS = {
+  new: 'New',
+  gone: 'No longer in thread',
+  deleted: 'Deleted by author',
+  removed: 'Removed by moderators',
+  edited: 'Edited',
+  score: 'Score changed'
+};
+
+function renderSnapshotDiff(a, b, diff) {
+  const counts = {};
+  diff.forEach(d => { counts[d.change] = (counts[d.change] || 0) + 1; });
+  const summary = Object.keys(DIFF_LABELS)
+    .map(key => `${DIFF_LABELS[key]}: ${counts[key] || 0}`)
+    .join(' · ');
+
+  document.getElementById('snapshot-diff').innerHTML = `
+    <h4>Changes from ${escapeHtml(a.fetchedAt)} to ${escapeHtml(b.fetchedAt)}</h4>
+    <p>${escapeHtml(summary)}</p>
+    <button class="btn btn-success" onclick="downloadSnapshotDiffCSV()">Download Diff CSV</button>
+    <table class="table table-condensed" style="margin-top:10px;">
+      <thead>
+        <tr><th>Change</th><th>Number</th><th>Author</th><th>Score</th><th>Body (old)</th><th>Body (new)</th></tr>
+      </thead>
+      <tbody>
+        ${diff.map(d => `
+          <tr>
+            <td>${escapeHtml(DIFF_LABELS[d.change])}</td>
+            <td>${escapeHtml(d.numberingNew || d.numberingOld)}</td>
+            <td>${escapeHtml(d.author)}</td>
+            <td>${escapeHtml(`${d.scoreOld} → ${d.scoreNew}`)}</td>
+            <td>${d.bodyOld ? formatBodyForHtml(d.bodyOld) : ''}</td>
+            <td>${d.bodyNew ? formatBodyForHtml(d.bodyNew) : ''}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
 }
 
-// Simple UTC style: 2025-03-11T14:19:10Z
-function formatUTCAsSimple(dateObj) {
-  const year = dateObj.getUTCFullYear();
-  const month = String(dateObj.getUTCMonth() + 1).padStart(2, '0');
-  const day = String(dateObj.getUTCDate()).padStart(2, '0');
-  const hours = String(dateObj.getUTCHours()).padStart(2, '0');
-  const mins = String(dateObj.getUTCMinutes()).padStart(2, '0');
-  const secs = String(dateObj.getUTCSeconds()).padStart(2, '0');
-  return `${year}-${month}-${day}T${hours}:${mins}:${secs}Z`;
+function downloadSnapshotDiffCSV() {
+  const header = ['Change', 'Comment ID', 'Number (old)', 'Number (new)', 'Author', 'Score (old)', 'Score (new)',
+    'Score Change', 'Body (old)', 'Body (new)'];
+  const rows = snapshotDiff.map(d => {
+    const delta = (typeof d.scoreOld === 'number' && typeof d.scoreNew === 'number') ? d.scoreNew - d.scoreOld : null;
+    return [
+      d.change, d.id, d.numberingOld, d.numberingNew, d.author,
+      d.scoreOld, d.scoreNew, delta, d.bodyOld, d.bodyNew
+    ];
+  });
+  const dialect = readCsvDialect();
+  downloadCsvText(buildCsv(header, rows, dialect), dialect, 'snapshot_diff');
 }
 
+
 // =========================
-// HELPER: Escape HTML
+// IMPORT FILES
 // =========================
-function escapeHtml(str) {
-  if (typeof str !== 'string') return '';
-  return str
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;');
+// Rebuild the table from a file instead of a live fetch: a thread saved from
+// Reddit (.json), or this tool's own CSV, JSON (flat or nested) and NDJSON exports.
+
+function importFile(input) {
+  const file = input.files && input.files[0];
+  if (!file) return;
+
+  const reader = new FileReader();
+  reader.onload = async () => {
+    let imported;
+    try {
+      imported = await parseImportedText(reader.result, file.name);
+    } catch (err) {
+      console.error('Import failed', err);
+      alert(`Error: Could not import ${file.name}. ${err.message}`);
+      return;
+    }
+    loadImportedData(imported, file.name);
+  };
+  reader.readAsText(file);
+  input.value = ''; // allow importing the same file again
 }
 
-// Convert the comment body to HTML with/without line breaks
-function formatBodyForHtml(str) {
-  if (!str) return '[deleted]';
-  if (removeNewlines) {
-    return escapeHtml(str.replace(/\r?\n|\n\r|\n|\r/g, ' '));
-  } else {
+/**
+ * Detect the file type and return { posts, rows, sources }.
+ * Throws an Error with a user-facing message for unknown formats.
+ */
+async function parseImportedText(text, fileName) {
+  text = text.replace(/^\uFEFF/, '');
+  const fileSource = { sourceUrl: `file:${fileName}`, fetchedAt: null };
+
+  if (/\.csv$|\.tsv$/i.test(fileName)) {
+    return parseImportedCsv(text, fileSource);
+  }
+
+  const trimmed = text.trim();
+  if (/\.ndjson$/i.test(fileName) || (trimmed.startsWith('{') && trimmed.includes('\n{'))) {
+    return parseImportedNdjson(trimmed, fileSource);
+  }
+
+  const json = JSON.parse(trimmed);
+
+  // Thread saved straight from Reddit: [post listing, comment listing]
+  if (Array.isArray(json) && json[0] && json[0].kind === 'Listing') {
+    const thread = await threadFromResponse(json, fileSource.sourceUrl, null, null, setFetchStatus);
+    return { posts: [thread.postInfo], rows: thread.rows, sources: [thread.source] };
+  }
+
+  if (json && json.manifest && Array.isArray(json.posts)) {
+    const sources = json.manifest.sources && json.manifest.sources.length ? json.manifest.sources : [fileSource];
+    // Flat export
+    if (Array.isArray(json.comments)) {
+      return { posts: json.posts, rows: json.comments.map(stripAnnotation), sources };
+    }
+    // Nested export: each post is the root of its reply tree
+    const rows = [];
+    const posts = json.posts.map(tree => {
+      const { children, ...post } = tree;
+      flattenCommentTree(children, rows);
+      return post;
+    });
+    return { posts, rows, sources };
+  }
+
+  throw new Error('The file is neither a Reddit thread (.json) nor an export from this tool.');
+}
+
+function parseImportedNdjson(text, fileSource) {
+  let sources = [fileSource];
+  const posts = [];
+  const rows = [];
+  text.split(/\r?\n/).filter(line => line.trim()).forEach(line => {
+    const { type, ...record } = JSON.parse(line);
+    if (type === 'manifest' && record.sources && record.sources.length) {
+      sources = record.sources;
+    } else if (type === 'post') {
+      posts.push(record);
+    } else if (type === 'comment') {
+      delete record.parentNumbering;
+      rows.push(stripAnnotation(record));
+    }
+  });
+  if (!posts.length) throw new Error('No post line found in the NDJSON file.');
+  return { posts, rows, sources };
+}
+
+// Depth-first walk of a nested export back into table rows
+function flattenCommentTree(children, rows) {
+  (children || []).forEach(node => {
+    const { children: replies, ...row } = node;
+    rows.push(stripAnnotation(row));
+    flattenCommentTree(replies, rows);
+  });
+}
+
+// Codes and memos live in browser storage, not in the rows
+function stripAnnotation(row) {
+  const { codes, memo, ...rest } = row;
+  return rest;
+}
+
+/**
+ * Map the tool's CSV headers back to row fields via COMMENT_COLUMNS.
+ * Compact exports only give back the numbering and the combined body.
+ * CSV carries no post details, so a placeholder post is created per post ID.
+ */
+function parseImportedCsv(text, fileSource) {
+  const table = parseCsv(text);
+  if (table.length < 2) throw new Error('The CSV file has no data rows.');
+
+  const header = table[0].map(h => h.trim());
+  const columns = header.map(h =>
+    COMMENT_COLUMNS.find(col => (col.csv || col.label) === h || col.label === h)
+    || (h === 'Body (Compact)' ? getColumn('body') : null)
+  );
+  if (!columns.some(col => col && col.key === 'numbering')) {
+    throw new Error('The CSV file has no "Number" column, so it is not an export from this tool.');
+  }
+
+  const rows = table.slice(1).filter(cells => cells.some(c => c !== '')).map(cells => {
+    const row = { postId: 'imported', body: '[deleted]', author: '[deleted]' };
+    columns.forEach((col, i) => {
+      if (!col || col.type === 'codes' || col.type === 'memo') return;
+      row[col.key] = parseCellText(cells[i] ?? '', col);
+    });
+    if (!row.level) row.level = row.numbering.split('.').length;
+    if (!('score' in row)) row.score = (row.upvotes || 0) - (row.downvotes || 0);
+    return row;
+  });
+
+  const postIds = [...new Set(rows.map(row => row.postId))];
+  const posts = postIds.map(id => extractPostInfo({ id, title: `Imported from ${fileSource.sourceUrl.slice(5)}` }));
+  return { posts, rows, sources: postIds.map(postId => ({ postId, ...fileSource })) };
+}
+
+// Inverse of formatCellText
+function parseCellText(text, col) {
+  switch (col.type) {
+    case 'number':
+      return text === '' ? 0 : Number(text);
+    case 'date': {
+      if (!text) return null;
+      const ms = Date.parse(text);
+      return Number.isNaN(ms) ? null : ms / 1000;
+    }
+    case 'bool':
+      return text.toLowerCase() === 'true';
+    default:
+      return text;
+  }
+}
+
+// RFC 4180 parser; the delimiter (comma, semicolon or tab) is taken from the header line
+function parseCsv(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t']
+    .map(d => ({ d, n: firstLine.split(d).length }))
+    .sort((a, b) => b.n - a.n)[0].d;
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Replace the current data with an import and render it like a fetch
+function loadImportedData(imported, fileName) {
+  supersedeFetch();
+  resetExportState();
+  tableData = imported.rows;
+  fetchLog = imported.sources;
+  unresolvedMoreCount = imported.sources.reduce((sum, src) => sum + (src.unresolvedMoreCount || 0), 0);
+
+  if (imported.posts.length > 1) {
+    isBatchMode = true;
+    batchPosts = imported.posts;
+    renderBatchInfo(batchPosts);
+  } else {
+    postInfo = imported.posts[0];
+    renderPostInfo(postInfo);
+  }
+  showResults();
+  setFetchStatus(`Imported from ${fileName}. ${describeFetchResult()}`);
+}
+
+
+// =========================
+// REDDIT REQUESTS
+// =========================
+// Every call to Reddit goes through getJson: retries with exponential
+// backoff on network errors, 429 and 5xx; waits out Reddit's rate-limit
+// window (x-ratelimit-* headers, Retry-After) before it runs dry; turns
+// Reddit's error replies into readable messages (err.kind says which);
+// and stops when the user cancels the running export.
+
+const FETCH_MAX_RETRIES = 4;
+const FETCH_BACKOFF_MS = 2000;      // first retry delay, doubled on every further attempt
+const RATE_LIMIT_MIN_REMAINING = 2; // below this many requests left, wait for the window to reset
+
+let fetchController = null; // AbortController of the running export, see cancelFetch()
+let rateLimit = { remaining: null, resetAt: 0 };
+
+// Start a cancellable export; aborts one that is still running
+function beginFetch() {
+  if (fetchController) fetchController.abort();
+  fetchController = new AbortController();
+  document.getElementById('cancel-fetch-btn').classList.remove('hidden');
+  return fetchController;
+}
+
+// True when a newer export has replaced the one that owns this controller
+function isSuperseded(controller) {
+  return controller !== fetchController;
+}
+
+// Imported files and snapshots replace the results: stop the running export so it can't overwrite them
+function supersedeFetch() {
+  if (!fetchController) return;
+  fetchController.abort();
+  endFetch(fetchController);
+}
+
+function endFetch(controller) {
+  if (isSuperseded(controller)) return;
+  fetchController = null;
+  document.getElementById('cancel-fetch-btn').classList.add('hidden');
+  setFetchProgress(null);
+}
+
+function cancelFetch() {
+  if (fetchController) fetchController.abort();
+}
+
+function fetchSignal() {
+  return fetchController ? fetchController.signal : undefined;
+}
+
+// Errors carry a kind: cancelled, network, rate-limited, server, private,
+// quarantined, banned, forbidden, not-found, not-a-thread, invalid, http
+function fetchError(kind, message, status = 0) {
+  return Object.assign(new Error(message), { kind, status });
+}
+
+function isCancelled(err) {
+  return !!err && err.kind === 'cancelled';
+}
+
+// Resolves after ms, or rejects as cancelled when the signal aborts first
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(fetchError('cancelled', 'The export was cancelled.'));
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(fetchError('cancelled', 'The export was cancelled.'));
+      }, { once: true });
+    }
+  });
+}
+
+async function getJson(url) {
+  const signal = fetchSignal();
+  for (let attempt = 0; ; attempt++) {
+    await waitForRateLimit(signal);
+
+    let response;
+    try {
+      response = await fetch(url, { signal });
+    } catch (err) {
+      if (signal && signal.aborted) throw fetchError('cancelled', 'The export was cancelled.');
+      // Browsers report CORS refusals (Reddit sends them when throttling) as plain network errors
+      if (attempt < FETCH_MAX_RETRIES) {
+        await retryAfter(backoffMs(attempt), 'Could not reach Reddit', attempt, signal);
+        continue;
+      }
+      throw fetchError('network', 'Could not reach Reddit. Check your connection; an ad or privacy blocker, '
+        + 'or Reddit refusing the cross-origin (CORS) request while rate limiting, can also cause this.');
+    }
+    updateRateLimit(response.headers);
+
+    if (response.ok) {
+      try {
+        return await response.json();
+      } catch (err) {
+        throw fetchError('invalid', 'Reddit did not return JSON for this URL.', response.status);
+      }
+    }
+
+    if (response.status === 429 || response.status >= 500) {
+      if (attempt < FETCH_MAX_RETRIES) {
+        const waitSeconds = parseFloat(response.headers.get('retry-after'));
+        const ms = waitSeconds > 0 ? waitSeconds * 1000 : backoffMs(attempt);
+        const reason = response.status === 429 ? 'Rate limited by Reddit' : `Reddit error (HTTP ${response.status})`;
+        await retryAfter(ms, reason, attempt, signal);
+        continue;
+      }
+      throw response.status === 429
+        ? fetchError('rate-limited', 'Reddit kept refusing requests (rate limit). Wait a few minutes and try again.', 429)
+        : fetchError('server', `Reddit is having problems (HTTP ${response.status}). Try again later.`, response.status);
+    }
+
+    const body = await response.json().catch(() => null);
+    throw describeRedditError(response.status, body);
+  }
+}
+
+function backoffMs(attempt) {
+  return FETCH_BACKOFF_MS * 2 ** attempt;
+}
+
+function retryAfter(ms, reason, attempt, signal) {
+  setFetchStatus(`${reason}; retrying in ${Math.ceil(ms / 1000)}s (attempt ${attempt + 2} of ${FETCH_MAX_RETRIES + 1})...`);
+  return delay(ms, signal);
+}
+
+// Reddit reports how many requests are left and when the window resets (seconds)
+function updateRateLimit(headers) {
+  const remaining = parseFloat(headers.get('x-ratelimit-remaining'));
+  const reset = parseFloat(headers.get('x-ratelimit-reset'));
+  if (Number.isNaN(remaining) || Number.isNaN(reset)) return;
+  rateLimit = { remaining, resetAt: Date.now() + reset * 1000 };
+}
+
+async function waitForRateLimit(signal) {
+  const wait = rateLimit.resetAt - Date.now();
+  if (rateLimit.remaining === null || rateLimit.remaining >= RATE_LIMIT_MIN_REMAINING || wait <= 0) return;
+  setFetchStatus(`Reddit's rate limit is almost used up; waiting ${Math.ceil(wait / 1000)}s for it to reset...`);
+  await delay(wait, signal);
+  rateLimit = { remaining: null, resetAt: 0 };
+}
+
+// Reddit's error JSON names the reason for 403/404s on subreddits
+function describeRedditError(status, body) {
+  const reason = body && body.reason;
+  if (reason === 'private') {
+    return fetchError('private', 'This subreddit is private; only its approved members can read it.', status);
+  }
+  if (reason === 'quarantined') {
+    return fetchError('quarantined', 'This subreddit is quarantined; Reddit only shows it to logged-in users '
+      + 'who opted in, so it cannot be exported here.', status);
+  }
+  if (reason === 'banned') {
+    return fetchError('banned', 'This subreddit has been banned by Reddit.', status);
+  }
+  if (status === 404) {
+    return fetchError('not-found', 'Reddit could not find this post. Check the URL; the post may also have been '
+      + 'deleted.', status);
+  }
+  if (status === 403) {
+    return fetchError('forbidden', 'Reddit refused access to this page.', status);
+  }
+  return fetchError('http', `Reddit returned an error (HTTP ${status}).`, status);
+}
+
+// Progress bar under the status line: a fraction between 0 and 1, or null to hide it
+function setFetchProgress(fraction) {
+  const wrapper = document.getElementById('fetch-progress');
+  wrapper.classList.toggle('hidden', fraction === null);
+  if (fraction !== null) {
+    wrapper.querySelector('.progress-bar').style.width = `${Math.round(Math.min(1, fraction) * 100)}%`;
+  }
+}
+
+// Show a one-line progress/status message below the action buttons
+function setFetchStatus(message) {
+  const el = document.getElementById('fetch-status');
+  el.textContent = message;
+  el.classList.toggle('hidden', !message);
+}
+
+function describeFetchResult() {
+  let msg = isBatchMode
+    ? `Loaded ${tableData.length} comments from ${batchPosts.length} posts.`
+    : `Loaded ${tableData.length} comments.`;
+  const posts = isBatchMode ? batchPosts : [postInfo];
+  const deletedPosts = posts.filter(p => p && (DELETED_BODIES.includes(p.selftext) || DELETED_AUTHORS.includes(p.author)));
+  if (deletedPosts.length) {
+    msg += isBatchMode
+      ? ` Note: ${deletedPosts.length} of the posts were deleted or removed; their remaining comments were exported.`
+      : ' Note: the post was deleted or removed; its remaining comments were exported.';
+  }
+  if (unresolvedMoreCount > 0) {
+    msg += ` Warning: ${unresolvedMoreCount} replies behind "load more comments" links were not loaded,`
+         + ' so this export is incomplete.';
+  }
+  return msg;
+}
+
+
+// =========================
+// COLUMNS
+// =========================
+
+// Keys of the columns ticked in the column chooser
+let selectedColumns = COMMENT_COLUMNS.filter(col => col.default).map(col => col.key);
+
+// Columns for the non-compact table and CSV; batch exports always lead with the post ID,
+// and the annotation columns are added as soon as a codebook exists
+function getVisibleColumns() {
+  return COMMENT_COLUMNS.filter(col =>
+    selectedColumns.includes(col.key)
+    || (col.key === 'postId' && isBatchMode)
+    || ((col.type === 'codes' || col.type === 'memo') && codebook.length > 0)
+  );
+}
+
+// Plain-text value of one cell, as written to the CSV
+function formatCellText(row, col, options = { dateFormat: selectedDateFormat, removeNewlines }) {
+  switch (col.type) {
+    case 'codes':
+      return getAnnotation(row).codes.join('; ');
+    case 'memo':
+      return getAnnotation(row).memo;
+    default:
+      return formatCommentCell(row, col, options);
+  }
+}
+
+function formatCellHtml(row, col) {
+  if (col.type === 'body') return formatBodyForHtml(row.body);
+  if (col.type === 'codes') return renderCodesCell(row, false);
+  if (col.key === 'author') return escapeHtml(formatCellText(row, col)) + opBadge(row);
+  return escapeHtml(formatCellText(row, col));
+}
+
+// Build the column checkboxes in the options panel
+function renderColumnChooser() {
+  document.getElementById('column-chooser').innerHTML = COMMENT_COLUMNS.map(col => `
+    <label class="checkbox-inline" style="margin-left:0; margin-right:10px;">
+      <input type="checkbox" value="${col.key}" onchange="onColumnChooserChange()"
+             ${selectedColumns.includes(col.key) ? 'checked' : ''}>
+      ${escapeHtml(col.label)}
+    </label>
+  `).join('');
+}
+
+function onColumnChooserChange() {
+  selectedColumns = [...document.querySelectorAll('#column-chooser input:checked')].map(box => box.value);
+  if (tableBuilt) renderTable(tableData);
+}
+
+
+// =========================
+// RENDER POST INFO
+// =========================
+function renderPostInfo(post) {
+  post = anonymizePost(post);
+  const block = document.getElementById('post-info-block');
+  block.classList.remove('hidden');
+  const postDate = formatDate(post.dateUtc, selectedDateFormat);
+
+  let html = `
+    <p><strong>Title:</strong> ${escapeHtml(post.title)}</p>
+    <p><strong>Post ID:</strong> ${escapeHtml(post.id)}</p>
+    <p><strong>Subreddit:</strong> r/${escapeHtml(post.subreddit)}</p>
+    <p><strong>Author:</strong> ${escapeHtml(post.author)}</p>
+    <p><strong>Date (UTC):</strong> ${escapeHtml(postDate)}</p>
+    <p><strong>Upvotes:</strong> ${post.ups}</p>
+    <p><strong>Downvotes:</strong> ${post.downs}</p>
+    <p><strong>Score:</strong> ${post.score}</p>
+    <p><strong>Upvote Ratio:</strong> ${post.upvoteRatio === null ? 'n/a' : post.upvoteRatio}</p>
+    <p><strong>Comments (as reported by Reddit):</strong> ${post.numComments}</p>
+    <p><strong>Permalink:</strong>
+      <a href="https://www.reddit.com${post.permalink}" target="_blank">View Post</a>
+    </p>
+  `;
+  if (!post.isSelf && post.url) {
+    html += `<p><strong>Link:</strong> ${escapeHtml(post.url)} (${escapeHtml(post.domain)})</p>`;
+  }
+  if (post.linkFlairText) {
+    html += `<p><strong>Flair:</strong> ${escapeHtml(post.linkFlairText)}</p>`;
+  }
+  if (post.edited) {
+    html += `<p><strong>Edited (UTC):</strong> ${escapeHtml(formatDate(post.edited, selectedDateFormat))}</p>`;
+  }
+  const flags = [
+    post.over18 && 'NSFW',
+    post.spoiler && 'spoiler',
+    post.locked && 'locked',
+    post.stickied && 'stickied',
+    post.distinguished && `distinguished (${post.distinguished})`,
+    post.gilded && `gilded ×${post.gilded}`,
+    post.awards && `${post.awards} awards`
+  ].filter(Boolean);
+  if (flags.length) {
+    html += `<p><strong>Flags:</strong> ${escapeHtml(flags.join(', '))}</p>`;
+  }
+  if (post.selftext) {
+    html += `
+      <p><strong>Self Text:</strong></p>
+      <pre>${escapeHtml(post.selftext)}</pre>
+    `;
+  }
+  document.getElementById('post-info').innerHTML = html;
+}
+
+
+// =========================
+// RENDER TABLE
+// =========================
+function renderTable(data) {
+  document.getElementById('output-block').classList.remove('hidden');
+  const tableWrapper = document.getElementById('table-wrapper');
+  data = applyRowFilters(getOutputRows(data));
+  // Large tables get their rows from renderTableWindow instead
+  const windowed = data.length >= VIRTUAL_TABLE_MIN_ROWS;
+
+  let html = '';
+  let rowHtml;
+  let colCount;
+  if (isCompactMode) {
+    // Batch exports get a leading Post ID column
+    const postHead = isBatchMode ? sortHeader('postId', 'Post ID') : '';
+    const postCell = row => isBatchMode ? `<td>${escapeHtml(row.postId)}</td>` : '';
+    colCount = (isBatchMode ? 3 : 2) + (codebook.length ? 1 : 0);
+    rowHtml = row => {
+      const dateString = formatDate(row.dateUtc, selectedDateFormat);
+      const meta = `(by ${escapeHtml(row.author)}${opBadge(row)}, ${escapeHtml(dateString)}, ↑↓ ${row.score})`;
+      let bodyHtml = formatBodyForHtml(row.body) + ' ' + meta;
+      return `
+              <tr${filterContextRows.has(row) ? ' class="filter-context"' : ''} ${rowKeyAttrs(row)}>
+                ${postCell(row)}
+                <td>${escapeHtml(row.numbering)} ${treeButton()}</td>
+                <td>${bodyHtml}</td>
+                ${codebook.length ? `<td>${renderCodesCell(row, true)}</td>` : ''}
+              </tr>
+            `;
+    };
+
+    // 2 columns => Number, Body+metadata
+    html = `
+      <table id="output-table" class="table table-hover">
+        <thead>
+          <tr>
+            ${postHead}
+            ${sortHeader('numbering', 'Number')}
+            <th onclick="sortTable('body', event)" title="Click to sort, shift-click to add as a further sort key">
+              Body (Compact)${sortIndicator('body')} ${compactSortLinks()}
+            </th>
+            ${codebook.length ? sortHeader('codes', 'Codes') : ''}
+          </tr>
+        </thead>
+        <tbody>
+          ${windowed ? '' : data.map(rowHtml).join('')}
+        </tbody>
+      </table>
+    `;
+  } else {
+    // One column per field ticked in the column chooser
+    const columns = getVisibleColumns();
+    colCount = columns.length;
+    rowHtml = row => `
+              <tr${filterContextRows.has(row) ? ' class="filter-context"' : ''} ${rowKeyAttrs(row)}>
+                ${columns.map((col, i) => `<td>${formatCellHtml(row, col)}${i === 0 ? ` ${treeButton()}` : ''}</td>`).join('')}
+              </tr>
+            `;
+    html = `
+      <table id="output-table" class="table table-hover">
+        <thead>
+          <tr>
+            ${columns.map(col => sortHeader(col.key, col.label)).join('')}
+          </tr>
+        </thead>
+        <tbody>
+          ${windowed ? '' : data.map(rowHtml).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  tableWrapper.innerHTML = html;
+  tableView = windowed ? { rows: data, rowHtml, colCount, heights: [], measuredCount: 0, measuredTotal: 0 } : null;
+  tableWrapper.onscroll = tableView ? scheduleTableWindow : null;
+  renderTableWindow();
+  tableBuilt = true;
+}
+
+
+// =========================
+// TABLE WINDOW
+// =========================
+// Large tables keep only the rows around the visible part of #table-wrapper
+// in the page; spacer rows stand in for the rest. Row heights are measured
+// as rows are drawn and estimated from the average of those until then.
+const VIRTUAL_TABLE_MIN_ROWS = 500;   // smaller tables are drawn in full
+const VIRTUAL_TABLE_OVERSCAN = 20;    // rows drawn beyond each edge of the visible area
+const VIRTUAL_ROW_HEIGHT = 40;        // estimate before any row was measured
+
+let tableView = null;        // { rows, rowHtml, colCount, heights, ... } while the table is windowed
+let tableWindowFrame = null;
+let linkedRowKey = null;     // "<postId>|<numbering>" of the row highlighted from the visualization
+
+function scheduleTableWindow() {
+  if (tableWindowFrame) return;
+  tableWindowFrame = requestAnimationFrame(() => {
+    tableWindowFrame = null;
+    renderTableWindow();
+  });
+}
+
+function renderTableWindow() {
+  const view = tableView;
+  const wrapper = document.getElementById('table-wrapper');
+  const tbody = wrapper.querySelector('#output-table tbody');
+  if (!view || !tbody) return;
+
+  const heightOf = i => view.heights[i] || estimatedRowHeight(view);
+  const head = wrapper.querySelector('#output-table thead');
+  const scrollTop = wrapper.scrollTop - ((head && head.offsetHeight) || 0);
+  const n = view.rows.length;
+
+  // First and last row in view
+  let start = 0;
+  let before = 0;
+  while (start < n - 1 && before + heightOf(start) <= scrollTop) {
+    before += heightOf(start);
+    start++;
+  }
+  let end = start;
+  for (let shown = 0; end < n && shown < (wrapper.clientHeight || 0); end++) shown += heightOf(end);
+
+  const from = Math.max(0, start - VIRTUAL_TABLE_OVERSCAN);
+  const to = Math.min(n, end + VIRTUAL_TABLE_OVERSCAN);
+  if (view.from === from && view.to === to) return;
+  view.from = from;
+  view.to = to;
+
+  let top = 0;
+  for (let i = 0; i < from; i++) top += heightOf(i);
+  let bottom = 0;
+  for (let i = to; i < n; i++) bottom += heightOf(i);
+
+  tbody.innerHTML = tableSpacer(top, view.colCount)
+    + view.rows.slice(from, to).map(view.rowHtml).join('')
+    + tableSpacer(bottom, view.colCount);
+
+  // Measure what was drawn so the spacers get closer to the real heights
+  tbody.querySelectorAll('tr:not(.table-spacer)').forEach((tr, k) => {
+    if (!view.heights[from + k] && tr.offsetHeight) {
+      view.heights[from + k] = tr.offsetHeight;
+      view.measuredCount++;
+      view.measuredTotal += tr.offsetHeight;
+    }
+    if (linkedRowKey && `${tr.dataset.postId}|${tr.dataset.numbering}` === linkedRowKey) {
+      tr.classList.add('linked-row');
+    }
+  });
+}
+
+function estimatedRowHeight(view) {
+  return view.measuredCount ? view.measuredTotal / view.measuredCount : VIRTUAL_ROW_HEIGHT;
+}
+
+function tableSpacer(height, colCount) {
+  if (!height) return '';
+  return `<tr class="table-spacer no-copy"><td colspan="${colCount}" style="height:${Math.round(height)}px;"></td></tr>`;
+}
+
+// Scroll a windowed table so the row at index is drawn and centred
+function scrollTableWindowTo(index) {
+  const view = tableView;
+  const wrapper = document.getElementById('table-wrapper');
+  const head = wrapper.querySelector('#output-table thead');
+  let top = (head && head.offsetHeight) || 0;
+  for (let i = 0; i < index; i++) top += view.heights[i] || estimatedRowHeight(view);
+  wrapper.scrollTop = Math.max(0, top - wrapper.clientHeight / 2);
+  renderTableWindow();
+}
+
+// Lets the visualization find a comment's table row
+function rowKeyAttrs(row) {
+  return `data-post-id="${escapeHtml(row.postId || '')}" data-numbering="${escapeHtml(row.numbering)}"`;
+}
+
+// Row buttons have no inline handlers: imported files can put anything in
+// postId or numbering, so those only ever travel in data attributes
+function onTableButtonClick(event) {
+  const button = event.target.closest('button[data-row-action]');
+  if (!button) return;
+  const tr = button.closest('tr');
+  if (button.dataset.rowAction === 'tree') showInTree(tr.dataset.postId, tr.dataset.numbering);
+  if (button.dataset.rowAction === 'code') openAnnotationEditor(tr.dataset.postId, button.dataset.annotationKey);
+}
+
+function treeButton() {
+  return `<button class="btn btn-default btn-xs no-copy" title="Show in tree" data-row-action="tree">Tree</button>`;
+}
+
+
+// =========================
+// ANONYMIZATION
+// =========================
+// Authors can be replaced with stable pseudonyms and bodies scrubbed of
+// mentions, URLs, emails and phone numbers. tableData always keeps the raw
+// data; everything that displays or exports rows goes through getOutputRows().
+const PSEUDONYM_STORAGE_KEY = 'redditDataTool.pseudonyms';
+const PSEUDONYM_SALT_STORAGE_KEY = 'redditDataTool.pseudonymSalt';
+const DELETED_AUTHORS = ['[deleted]', '[removed]'];
+
+const REDACTIONS = {
+  mentions: { pattern: /(^|[^\w/])(?:\/?u\/[\w-]{3,20}|@[\w-]{3,20})/gi, replacement: '$1[user]' },
+  // Trailing punctuation stays outside the link
+  urls: { pattern: /\b(?:https?:\/\/|www\.)[^\s<>()\]]*[^\s<>()\].,;:!?'"]/gi, replacement: '[url]' },
+  emails: { pattern: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g, replacement: '[email]' },
+  // A leading +country code, an (area code), or - / . separators; plain runs of
+  // space-separated numbers ("2019 2020 2021") are left alone
+  phones: {
+    pattern: /(?:\+\d{1,3}[\s.-]?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]?\d{3,4}){1,2}|\(\d{2,4}\)[\s.-]?\d{3,4}[\s.-]?\d{4}|\b\d{2,4}([.-])\d{3,4}\1\d{4})\b/g,
+    replacement: '[phone]'
+  }
+};
+
+let anonymizeSettings = {
+  pseudonyms: false,
+  mode: 'sequential',   // sequential ("User 17") | hash (salted SHA-256)
+  salt: '',
+  redact: { mentions: false, urls: false, emails: false, phones: false }
+};
+let pseudonymMap = { next: 1, names: {} }; // sequential mode, kept across exports
+let anonymizedRows = new WeakMap();        // raw row => anonymized copy
+
+// Load the persisted salt and sequential mapping, creating a random salt on first use
+function initAnonymizeSettings() {
+  try {
+    pseudonymMap = JSON.parse(localStorage.getItem(PSEUDONYM_STORAGE_KEY)) || pseudonymMap;
+  } catch (err) {
+    console.error('Could not read pseudonyms from browser storage', err);
+  }
+  let salt = localStorage.getItem(PSEUDONYM_SALT_STORAGE_KEY);
+  if (!salt) {
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    salt = [...bytes].map(b => b.toString(16).padStart(2, '0')).join('');
+    localStorage.setItem(PSEUDONYM_SALT_STORAGE_KEY, salt);
+  }
+  document.getElementById('pseudonym-salt').value = salt;
+  readAnonymizeSettings();
+}
+
+function readAnonymizeSettings() {
+  anonymizeSettings = {
+    pseudonyms: document.getElementById('anonymize').checked,
+    mode: document.querySelector('input[name="pseudonymMode"]:checked').value,
+    salt: document.getElementById('pseudonym-salt').value,
+    redact: {
+      mentions: document.getElementById('redactMentions').checked,
+      urls: document.getElementById('redactUrls').checked,
+      emails: document.getElementById('redactEmails').checked,
+      phones: document.getElementById('redactPhones').checked
+    }
+  };
+  anonymizedRows = new WeakMap();
+}
+
+// Settings changed after an export: re-render everything that shows authors or bodies
+function onAnonymizeChange() {
+  const salt = document.getElementById('pseudonym-salt').value.trim();
+  if (salt) localStorage.setItem(PSEUDONYM_SALT_STORAGE_KEY, salt);
+  readAnonymizeSettings();
+
+  if (!tableBuilt) return;
+  if (isBatchMode) {
+    renderBatchInfo(batchPosts);
+  } else {
+    renderPostInfo(postInfo);
+  }
+  renderTable(tableData);
+}
+
+function resetPseudonyms() {
+  if (!confirm('Forget all sequential pseudonyms? Authors will be numbered from "User 1" again.')) return;
+  pseudonymMap = { next: 1, names: {} };
+  localStorage.setItem(PSEUDONYM_STORAGE_KEY, JSON.stringify(pseudonymMap));
+  onAnonymizeChange();
+}
+
+function isAnonymizing() {
+  return anonymizeSettings.pseudonyms || Object.values(anonymizeSettings.redact).some(Boolean);
+}
+
+// Stable pseudonym for a username; [deleted]/[removed] stay as they are
+function pseudonymFor(author) {
+  if (!anonymizeSettings.pseudonyms || DELETED_AUTHORS.includes(author)) return author;
+
+  if (anonymizeSettings.mode === 'hash') {
+    return `user_${sha256Hex(anonymizeSettings.salt + author).slice(0, 10)}`;
+  }
+  if (!pseudonymMap.names[author]) {
+    pseudonymMap.names[author] = pseudonymMap.next++;
+    localStorage.setItem(PSEUDONYM_STORAGE_KEY, JSON.stringify(pseudonymMap));
+  }
+  return `User ${pseudonymMap.names[author]}`;
+}
+
+function redactText(text) {
+  if (!text) return text;
+  let out = text;
+  Object.keys(REDACTIONS).forEach(key => {
+    if (anonymizeSettings.redact[key]) {
+      out = out.replace(REDACTIONS[key].pattern, REDACTIONS[key].replacement);
+    }
+  });
+  return out;
+}
+
+// OP is the post author in their own thread; the label survives pseudonymization
+function isOpRow(row) {
+  if (row.isSubmitter) return true;
+  const post = (isBatchMode ? batchPosts : [postInfo]).find(p => p && p.id === row.postId);
+  return !!post && post.author === row.author && !DELETED_AUTHORS.includes(row.author);
+}
+
+function anonymizeRow(row) {
+  if (!isAnonymizing()) return row;
+  let out = anonymizedRows.get(row);
+  if (!out) {
+    out = { ...row, body: redactText(row.body) };
+    if (anonymizeSettings.pseudonyms) {
+      // The author cell holds only the pseudonym (it has to match the post's);
+      // OP status goes in isSubmitter
+      out.author = pseudonymFor(row.author);
+      out.isSubmitter = isOpRow(row);
+      out.authorFlairText = '';
+    }
+    anonymizedRows.set(row, out);
+  }
+  return out;
+}
+
+// Display-only OP marker next to a pseudonym
+function opBadge(row) {
+  return anonymizeSettings.pseudonyms && row.isSubmitter ? ' <span class="label label-default">OP</span>' : '';
+}
+
+function anonymizePost(post) {
+  if (!post || !isAnonymizing()) return post;
+  const out = {
+    ...post,
+    title: redactText(post.title),
+    selftext: redactText(post.selftext),
+    url: post.isSelf ? post.url : redactText(post.url)
+  };
+  if (anonymizeSettings.pseudonyms) {
+    out.author = pseudonymFor(post.author);
+    out.authorFlairText = '';
+  }
+  return out;
+}
+
+function getOutputRows(rows = tableData) {
+  return isAnonymizing() ? rows.map(anonymizeRow) : rows;
+}
+
+// The re-identification key, to be stored separately from the shared data
+function downloadPseudonymKey() {
+  if (!tableBuilt || !anonymizeSettings.pseudonyms) {
+    alert('Enable pseudonyms and export a thread first.');
+    return;
+  }
+  const authors = new Set([
+    ...(isBatchMode ? batchPosts : [postInfo]).map(p => p.author),
+    ...tableData.map(row => row.author)
+  ]);
+  const rows = [...authors].filter(a => !DELETED_AUTHORS.includes(a)).sort()
+    .map(author => [author, pseudonymFor(author)]);
+  const dialect = readCsvDialect();
+  downloadCsvText(buildCsv(['Username', 'Pseudonym'], rows, dialect), dialect, 'pseudonym_key');
+}
+
+// Synchronous SHA-256 of a UTF-8 string, as lowercase hex
+function sha256Hex(message) {
+  const K = [
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+  ];
+  const H = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+
+  const bytes = new TextEncoder().encode(message);
+  const bitLen = bytes.length * 8;
+  const padded = new Uint8Array(Math.ceil((bytes.length + 9) / 64) * 64);
+  padded.set(bytes);
+  padded[bytes.length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(padded.length - 8, Math.floor(bitLen / 0x100000000));
+  view.setUint32(padded.length - 4, bitLen >>> 0);
+
+  const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+  const w = new Uint32Array(64);
+  for (let offset = 0; offset < padded.length; offset += 64) {
+    for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+    }
+    let [a, b, c, d, e, f, g, h] = H;
+    for (let i = 0; i < 64; i++) {
+      const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + w[i]) >>> 0;
+      const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) >>> 0;
+      h = g; g = f; f = e; e = (d + t1) >>> 0;
+      d = c; c = b; b = a; a = (t1 + t2) >>> 0;
+    }
+    [a, b, c, d, e, f, g, h].forEach((v, i) => { H[i] = (H[i] + v) >>> 0; });
+  }
+  return H.map(v => v.toString(16).padStart(8, '0')).join('');
+}
+
+
+// =========================
+// QUALITATIVE CODING
+// =========================
+// The codebook is shared by all posts; annotations ({ codes, memo }) are
+// stored per post in localStorage and keyed by comment ID.
+const CODEBOOK_STORAGE_KEY = 'redditDataTool.codebook';
+const ANNOTATION_STORAGE_PREFIX = 'redditDataTool.annotations.';
+
+let codebook = [];            // code names, in the order they were added
+let codeFilter = '';          // '' = all rows, UNCODED_FILTER, or a code name
+let annotationCache = {};     // postId => { commentKey: { codes, memo } }
+let editingAnnotation = null; // { postId, key } of the row in the editor
+const UNCODED_FILTER = '__uncoded__';
+
+function loadCodebook() {
+  try {
+    return JSON.parse(localStorage.getItem(CODEBOOK_STORAGE_KEY)) || [];
+  } catch (err) {
+    console.error('Could not read the codebook from browser storage', err);
+    return [];
+  }
+}
+
+function saveCodebook() {
+  localStorage.setItem(CODEBOOK_STORAGE_KEY, JSON.stringify(codebook));
+}
+
+function loadAnnotations(postId) {
+  if (!annotationCache[postId]) {
+    try {
+      annotationCache[postId] = JSON.parse(localStorage.getItem(ANNOTATION_STORAGE_PREFIX + postId)) || {};
+    } catch (err) {
+      console.error('Could not read annotations from browser storage', err);
+      annotationCache[postId] = {};
+    }
+  }
+  return annotationCache[postId];
+}
+
+function saveAnnotations(postId) {
+  localStorage.setItem(ANNOTATION_STORAGE_PREFIX + postId, JSON.stringify(annotationCache[postId] || {}));
+}
+
+// Comment ID where Reddit gave one, else the numbering within the post
+function annotationKey(row) {
+  return row.id || row.numbering;
+}
+
+function getAnnotation(row) {
+  return loadAnnotations(row.postId)[annotationKey(row)] || { codes: [], memo: '' };
+}
+
+// Copy of a row with its codes and memo, for JSON exports
+function withAnnotation(row) {
+  const annotation = getAnnotation(row);
+  return { ...row, codes: annotation.codes, memo: annotation.memo };
+}
+
+function addCode() {
+  const input = document.getElementById('new-code');
+  const name = input.value.trim();
+  if (!name) return;
+  if (codebook.includes(name)) {
+    alert(`The code "${name}" is already in the codebook.`);
+    return;
+  }
+  codebook.push(name);
+  saveCodebook();
+  input.value = '';
+  onCodebookChange();
+}
+
+// Remove a code from the codebook and from every stored annotation
+function removeCode(index) {
+  const name = codebook[index];
+  if (!confirm(`Remove the code "${name}" from the codebook and from all coded comments?`)) return;
+
+  codebook.splice(index, 1);
+  saveCodebook();
+  Object.keys(localStorage)
+    .filter(key => key.startsWith(ANNOTATION_STORAGE_PREFIX))
+    .forEach(key => {
+      const postId = key.slice(ANNOTATION_STORAGE_PREFIX.length);
+      const annotations = loadAnnotations(postId);
+      Object.values(annotations).forEach(a => {
+        a.codes = a.codes.filter(code => code !== name);
+      });
+      saveAnnotations(postId);
+    });
+  if (codeFilter === name) codeFilter = '';
+  onCodebookChange();
+}
+
+function onCodebookChange() {
+  renderCodebook();
+  if (tableBuilt) renderTable(tableData);
+}
+
+function renderCodebook() {
+  document.getElementById('codebook-list').innerHTML = codebook.length
+    ? codebook.map((name, i) => `
+        <span class="label label-info code-label">
+          ${escapeHtml(name)}
+          <a href="#" onclick="removeCode(${i}); return false;" title="Remove code" style="color:#fff;">&times;</a>
+        </span>
+      `).join(' ')
+    : '<span class="help-block">No codes yet.</span>';
+
+  const filter = document.getElementById('code-filter');
+  filter.innerHTML = `
+    <option value="">All comments</option>
+    <option value="${UNCODED_FILTER}">Uncoded comments</option>
+    ${codebook.map(name => `<option value="${escapeHtml(name)}">Code: ${escapeHtml(name)}</option>`).join('')}
+  `;
+  filter.value = codeFilter;
+}
+
+function onCodeFilterChange() {
+  codeFilter = document.getElementById('code-filter').value;
+  if (tableBuilt) renderTable(tableData);
+}
+
+function matchesCodeFilter(row) {
+  if (!codeFilter) return true;
+  if (codeFilter === UNCODED_FILTER) return !getAnnotation(row).codes.length;
+  return getAnnotation(row).codes.includes(codeFilter);
+}
+
+// Code badges, optionally the memo, and an edit button (left out of the HTML copy)
+function renderCodesCell(row, includeMemo) {
+  const annotation = getAnnotation(row);
+  const badges = annotation.codes
+    .map(code => `<span class="label label-info code-label">${escapeHtml(code)}</span>`)
+    .join(' ');
+  const memo = includeMemo && annotation.memo ? `<div class="code-memo">${escapeHtml(annotation.memo)}</div>` : '';
+  return `${badges}${memo}
+    <button class="btn btn-default btn-xs no-copy" data-row-action="code"
+            data-annotation-key="${escapeHtml(annotationKey(row))}">
+      Code…
+    </button>`;
+}
+
+function openAnnotationEditor(postId, key) {
+  const annotation = loadAnnotations(postId)[key] || { codes: [], memo: '' };
+  editingAnnotation = { postId, key };
+
+  document.getElementById('annotation-editor-title').textContent = `Comment ${key}`;
+  document.getElementById('annotation-editor-codes').innerHTML = codebook.map(name => `
+    <label class="checkbox-inline" style="margin-left:0; margin-right:10px;">
+      <input type="checkbox" value="${escapeHtml(name)}" ${annotation.codes.includes(name) ? 'checked' : ''}>
+      ${escapeHtml(name)}
+    </label>
+  `).join('');
+  document.getElementById('annotation-editor-memo').value = annotation.memo;
+  document.getElementById('annotation-editor').classList.remove('hidden');
+}
+
+function saveAnnotationEditor() {
+  if (!editingAnnotation) return;
+  const { postId, key } = editingAnnotation;
+  const codes = [...document.querySelectorAll('#annotation-editor-codes input:checked')].map(box => box.value);
+  const memo = document.getElementById('annotation-editor-memo').value.trim();
+
+  const annotations = loadAnnotations(postId);
+  if (codes.length || memo) {
+    annotations[key] = { codes, memo };
+  } else {
+    delete annotations[key];
+  }
+  saveAnnotations(postId);
+  closeAnnotationEditor();
+  renderTable(tableData);
+}
+
+function closeAnnotationEditor() {
+  editingAnnotation = null;
+  document.getElementById('annotation-editor').classList.add('hidden');
+}
+
+
+// =========================
+// FILTERS
+// =========================
+// The filter bar (and the code filter) narrow what the table shows and
+// what every download and the HTML copy contain. Rows are matched after
+// anonymization, so author filters use the names the user sees.
+const DELETED_BODIES = ['[deleted]', '[removed]'];
+
+let rowFilters = null;                // null when no filter is active
+let searchMatcher = null;             // RegExp for body search, also used for highlighting
+let filterContextRows = new Set();    // ancestors shown only for context
+
+// Rows as shown in the table: anonymized, then filtered
+function getExportRows() {
+  return applyRowFilters(getOutputRows());
+}
+
+function readRowFilters() {
+  const value = id => document.getElementById(id).value.trim();
+  const num = id => (value(id) === '' ? null : Number(value(id)));
+  // Date inputs are read as UTC days, matching the UTC-only dates in the table
+  const day = (id, endOfDay) => value(id) ? Date.parse(`${value(id)}T00:00:00Z`) / 1000 + (endOfDay ? 86399 : 0) : null;
+
+  const filters = {
+    query: value('filter-query'),
+    regex: document.getElementById('filter-regex').checked,
+    authors: value('filter-author').toLowerCase().split(',').map(a => a.trim()).filter(Boolean),
+    scoreMin: num('filter-score-min'),
+    scoreMax: num('filter-score-max'),
+    dateFrom: day('filter-date-from', false),
+    dateTo: day('filter-date-to', true),
+    depthMin: num('filter-depth-min'),
+    depthMax: num('filter-depth-max'),
+    hideDeleted: document.getElementById('filter-hide-deleted').checked,
+    keepAncestors: document.getElementById('filter-keep-ancestors').checked
+  };
+  const active = filters.query || filters.authors.length || filters.hideDeleted
+    || [filters.scoreMin, filters.scoreMax, filters.dateFrom, filters.dateTo, filters.depthMin, filters.depthMax]
+      .some(v => v !== null);
+  return active ? filters : null;
+}
+
+function applyFilterBar() {
+  const errorEl = document.getElementById('filter-error');
+  errorEl.textContent = '';
+  rowFilters = readRowFilters();
+  searchMatcher = null;
+
+  if (rowFilters && rowFilters.query) {
+    try {
+      searchMatcher = rowFilters.regex
+        ? new RegExp(rowFilters.query, 'gi')
+        : new RegExp(rowFilters.query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+    } catch (err) {
+      errorEl.textContent = `Invalid regular expression: ${err.message}`;
+      rowFilters = null;
+      return;
+    }
+  }
+  if (tableBuilt) renderTable(tableData);
+  highlightVizSearchHits();
+}
+
+function clearFilterBar() {
+  document.querySelectorAll('#filter-panel input').forEach(input => {
+    if (input.type === 'checkbox') {
+      input.checked = input.id === 'filter-keep-ancestors';
+    } else {
+      input.value = '';
+    }
+  });
+  applyFilterBar();
+}
+
+function rowMatchesFilters(row, f) {
+  if (f.query) {
+    searchMatcher.lastIndex = 0;
+    if (!searchMatcher.test(row.body)) return false;
+  }
+  if (f.authors.length && !f.authors.some(a => row.author.toLowerCase().includes(a))) return false;
+  if (f.scoreMin !== null && !(row.score >= f.scoreMin)) return false;
+  if (f.scoreMax !== null && !(row.score <= f.scoreMax)) return false;
+  if (f.dateFrom !== null && !(row.dateUtc >= f.dateFrom)) return false;
+  if (f.dateTo !== null && !(row.dateUtc <= f.dateTo)) return false;
+  if (f.depthMin !== null && row.level < f.depthMin) return false;
+  if (f.depthMax !== null && row.level > f.depthMax) return false;
+  if (f.hideDeleted && (DELETED_BODIES.includes(row.body) || DELETED_AUTHORS.includes(row.author))) return false;
+  return true;
+}
+
+/**
+ * Filter rows in their current order. With "keep ancestors", the parent
+ * chain of every match is kept too and remembered in filterContextRows.
+ */
+function applyRowFilters(rows) {
+  filterContextRows = new Set();
+  const f = rowFilters;
+  const matched = rows.filter(row => matchesCodeFilter(row) && (!f || rowMatchesFilters(row, f)));
+
+  if (f || codeFilter) {
+    document.getElementById('filter-summary').textContent =
+      `Showing ${matched.length} of ${rows.length} comments`;
+  } else {
+    document.getElementById('filter-summary').textContent = '';
+  }
+  if (!f || !f.keepAncestors || matched.length === rows.length) return matched;
+
+  const keep = new Set(matched);
+  const byNumbering = {};
+  rows.forEach(row => { byNumbering[`${row.postId}|${row.numbering}`] = row; });
+  matched.forEach(row => {
+    for (let num = parentNumbering(row.numbering); num; num = parentNumbering(num)) {
+      const ancestor = byNumbering[`${row.postId}|${num}`];
+      if (!ancestor || keep.has(ancestor)) break;
+      keep.add(ancestor);
+      filterContextRows.add(ancestor);
+    }
+  });
+  document.getElementById('filter-summary').textContent =
+    `Showing ${matched.length} of ${rows.length} comments, plus ${filterContextRows.size} ancestors for context`;
+  return rows.filter(row => keep.has(row));
+}
+
+// Escape text and wrap body search matches in <mark>
+function highlightSearchMatches(text) {
+  if (!searchMatcher) return escapeHtml(text);
+  let html = '';
+  let last = 0;
+  searchMatcher.lastIndex = 0;
+  let m;
+  while ((m = searchMatcher.exec(text)) !== null) {
+    if (m[0] === '') {
+      searchMatcher.lastIndex++;
+      continue;
+    }
+    html += escapeHtml(text.slice(last, m.index)) + `<mark>${escapeHtml(m[0])}</mark>`;
+    last = m.index + m[0].length;
+  }
+  return html + escapeHtml(text.slice(last));
+}
+
+// Same as highlightSearchMatches, but only touches the text between tags of rendered HTML
+function highlightSearchMatchesInHtml(html) {
+  if (!searchMatcher) return html;
+  return html.split(/(<[^>]*>)/).map(part =>
+    part.startsWith('<') ? part : highlightSearchMatches(unescapeHtml(part))
+  ).join('');
+}
+
+// Recorded in export manifests so a filtered subset can be reproduced
+function describeActiveFilters() {
+  if (!rowFilters && !codeFilter) return null;
+  return {
+    ...(rowFilters || {}),
+    code: codeFilter === UNCODED_FILTER ? '(uncoded)' : codeFilter || null
+  };
+}
+
+
+// =========================
+// HELPER: Escape HTML
+// =========================
+function escapeHtml(str) {
+  if (typeof str !== 'string') return '';
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Inverse of escapeHtml
+function unescapeHtml(str) {
+  return str
+    .replace(/&quot;/g, '"')
+    .replace(/&gt;/g, '>')
+    .replace(/&lt;/g, '<')
+    .replace(/&amp;/g, '&');
+}
+
+// Convert the comment body to HTML with/without line breaks, or as rendered markdown
+function formatBodyForHtml(str) {
+  if (!str) return '[deleted]';
+  if (renderMarkdownBodies) {
+    return `<div class="md">${highlightSearchMatchesInHtml(renderMarkdown(str))}</div>`;
+  }
+  if (removeNewlines) {
+    return highlightSearchMatches(str.replace(/\r?\n|\n\r|\n|\r/g, ' '));
+  } else {
     // Convert newlines to <br>
     return str
       .split(/\r?\n|\n\r|\n|\r/g)
-      .map(part => escapeHtml(part))
+      .map(part => highlightSearchMatches(part))
       .join('<br>');
   }
 }
 
 
 // =========================
-// SORTING
+// MARKDOWN RENDERING
+// =========================
+// A small renderer for Reddit-flavored markdown. All input text is escaped
+// and only the tags created here are emitted; link targets are limited to
+// http(s), mailto and Reddit-relative paths, so comment bodies cannot inject
+// markup or scripts.
+
+const MD_LIST_ITEM = /^(\s*)([*+-]|\d+[.)])\s+(.*)$/;
+const MD_TABLE_ALIGN = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+function onBodyModeChange() {
+  renderMarkdownBodies = document.querySelector('input[name="bodyMode"]:checked').value === 'markdown';
+  if (tableBuilt) renderTable(tableData);
+}
+
+function renderMarkdown(src) {
+  if (!src) return '';
+  // Thread JSON saved without raw_json=1 has &, < and > escaped; decode once so quotes and spoilers still match
+  return renderMarkdownBlocks(unescapeHtml(src));
+}
+
+function renderMarkdownBlocks(src) {
+  const lines = src.replace(/\r\n?/g, '\n').split('\n');
+  let html = '';
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (/^\s*$/.test(line)) {
+      i++;
+    } else if (/^\s*(```|~~~)/.test(line)) {
+      // Fenced code block
+      const fence = line.trim().slice(0, 3);
+      const code = [];
+      for (i++; i < lines.length && !lines[i].trim().startsWith(fence); i++) code.push(lines[i]);
+      i++;
+      html += `<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`;
+    } else if (/^( {4}|\t)/.test(line)) {
+      // Indented code block
+      const code = [];
+      for (; i < lines.length && (/^( {4}|\t)/.test(lines[i]) || /^\s*$/.test(lines[i])); i++) {
+        code.push(lines[i].replace(/^( {4}|\t)/, ''));
+      }
+      while (code.length && !code[code.length - 1].trim()) code.pop();
+      html += `<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`;
+    } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      html += '<hr>';
+      i++;
+    } else if (/^#{1,6}/.test(line)) {
+      const m = line.match(/^(#{1,6})\s*(.*?)\s*#*\s*$/);
+      html += `<h${m[1].length}>${renderInlineMarkdown(m[2])}</h${m[1].length}>`;
+      i++;
+    } else if (/^\s*>(?!!)/.test(line)) {
+      // Blockquote (">!" starts a spoiler, not a quote)
+      const quoted = [];
+      for (; i < lines.length && /^\s*>(?!!)/.test(lines[i]); i++) {
+        quoted.push(lines[i].replace(/^\s*> ?/, ''));
+      }
+      html += `<blockquote>${renderMarkdownBlocks(quoted.join('\n'))}</blockquote>`;
+    } else if (MD_LIST_ITEM.test(line)) {
+      const list = renderMarkdownList(lines, i);
+      html += list.html;
+      i = list.next;
+    } else if (line.includes('|') && i + 1 < lines.length && MD_TABLE_ALIGN.test(lines[i + 1])) {
+      const table = renderMarkdownTable(lines, i);
+      html += table.html;
+      i = table.next;
+    } else {
+      // Paragraph: runs until a blank line or the start of another block
+      const para = [];
+      for (; i < lines.length && lines[i].trim() && !isMarkdownBlockStart(lines[i]); i++) para.push(lines[i]);
+      if (!para.length) para.push(lines[i++]);
+      html += `<p>${renderInlineMarkdown(para.join('\n'))}</p>`;
+    }
+  }
+  return html;
+}
+
+function isMarkdownBlockStart(line) {
+  return /^\s*(```|~~~)/.test(line) || /^#{1,6}/.test(line) || /^\s*>(?!!)/.test(line)
+    || MD_LIST_ITEM.test(line) || /^\s*([-*_])(\s*\1){2,}\s*$/.test(line);
+}
+
+// Consecutive list items; indented lines belong to the previous item (nested lists included)
+function renderMarkdownList(lines, start) {
+  const ordered = /^\s*\d/.test(lines[start]);
+  const baseIndent = lines[start].match(/^\s*/)[0].length;
+  const items = [];
+  let i = start;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const indent = line.match(/^\s*/)[0].length;
+    const m = line.match(MD_LIST_ITEM);
+    if (/^\s*$/.test(line)) {
+      const next = lines[i + 1];
+      if (next !== undefined && next.trim() && next.match(/^\s*/)[0].length >= baseIndent && MD_LIST_ITEM.test(next)) {
+        i++;
+        continue;
+      }
+      break;
+    }
+    if (m && indent <= baseIndent + 1) {
+      if (/^\d/.test(m[2]) !== ordered) break;
+      items.push([m[3]]);
+    } else if (indent > baseIndent || !isMarkdownBlockStart(line)) {
+      items[items.length - 1].push(line.slice(Math.min(indent, baseIndent + 4)));
+    } else {
+      break;
+    }
+    i++;
+  }
+
+  const tag = ordered ? 'ol' : 'ul';
+  const body = items.map(item => {
+    const inner = renderMarkdownBlocks(item.join('\n'));
+    // A single paragraph item renders without the <p> wrapper
+    return `<li>${inner.replace(/^<p>([\s\S]*?)<\/p>(?=<|$)/, '$1')}</li>`;
+  }).join('');
+  return { html: `<${tag}>${body}</${tag}>`, next: i };
+}
+
+function renderMarkdownTable(lines, start) {
+  const splitRow = line => line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(c => c.trim());
+  const header = splitRow(lines[start]);
+  const aligns = splitRow(lines[start + 1]).map(c =>
+    c.startsWith(':') && c.endsWith(':') ? 'center' : c.endsWith(':') ? 'right' : c.startsWith(':') ? 'left' : '');
+  const cell = (tag, text, j) =>
+    `<${tag}${aligns[j] ? ` style="text-align:${aligns[j]}"` : ''}>${renderInlineMarkdown(text)}</${tag}>`;
+
+  let i = start + 2;
+  const rows = [];
+  for (; i < lines.length && lines[i].includes('|') && lines[i].trim(); i++) rows.push(splitRow(lines[i]));
+
+  return {
+    html: `<table class="md-table"><thead><tr>${header.map((h, j) => cell('th', h, j)).join('')}</tr></thead>`
+        + `<tbody>${rows.map(r => `<tr>${header.map((_, j) => cell('td', r[j] || '', j)).join('')}</tr>`).join('')}</tbody></table>`,
+    next: i
+  };
+}
+
+/**
+ * Inline markdown: code spans, links, autolinks, r/ and u/ links, bold,
+ * italics, strikethrough, superscript and spoilers. Finished HTML pieces
+ * are stashed behind placeholders so later steps cannot touch them.
+ */
+function renderInlineMarkdown(text) {
+  const stash = [];
+  const keep = html => `\u0000${stash.push(html) - 1}\u0000`;
+  const anchor = (href, label) =>
+    keep(`<a href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer nofollow">${escapeHtml(label)}</a>`);
+
+  let out = text
+    .replace(/`([^`\n]+)`/g, (_, code) => keep(`<code>${escapeHtml(code)}</code>`))
+    .replace(/\\([\\`*_{}\[\]()#+\-.!>~^|])/g, (_, ch) => keep(escapeHtml(ch)))
+    .replace(/\[([^\]]+)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g, (m, label, url) => {
+      const href = safeMarkdownHref(url);
+      return href ? anchor(href, label) : m;
+    })
+    .replace(/\bhttps?:\/\/[^\s<>()\]]*[^\s<>()\].,;:!?'"]/g, url => anchor(url, url))
+    .replace(/(^|[^\w/])(\/?)([ru])\/([\w-]{2,21})/g, (m, pre, slash, kind, name) =>
+      pre + anchor(`https://www.reddit.com/${kind}/${name}`, `${slash}${kind}/${name}`))
+    .replace(/ {2,}\n/g, () => keep('<br>'))
+    .replace(/\n/g, ' ');
+
+  out = escapeHtml(out)
+    .replace(/&gt;!(.+?)!&lt;/g, '<span class="md-spoiler" title="Spoiler">$1</span>')
+    .replace(/~~(?=\S)(.+?)~~/g, '<del>$1</del>')
+    .replace(/(\*\*|__)(?=\S)(.*?[^\s])\1/g, '<strong>$2</strong>')
+    .replace(/\*(?=\S)(.+?[^\s*]|[^\s*])\*/g, '<em>$1</em>')
+    .replace(/(^|[^\w])_(?=\S)(.+?[^\s_]|[^\s_])_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/\^\(([^)]*)\)|\^([^\s^]+)/g, (_, group, word) => `<sup>${group ?? word}</sup>`);
+
+  return out.replace(/\u0000(\d+)\u0000/g, (_, n) => stash[n]);
+}
+
+// Only web, mail and Reddit-relative links survive
+function safeMarkdownHref(url) {
+  if (/^(https?:\/\/|mailto:)/i.test(url)) return url;
+  if (url.startsWith('/')) return `https://www.reddit.com${url}`;
+  if (/^[ru]\//.test(url)) return `https://www.reddit.com/${url}`;
+  if (/^www\./i.test(url)) return `https://${url}`;
+  return null;
+}
+
+
+// =========================
+// THREAD READER
+// =========================
+// Indented, Reddit-like view of the rows in the table (same filters and
+// anonymization), with rendered markdown and collapsible subtrees.
+
+function openThreadReader() {
+  const rows = getExportRows();
+  const reader = document.getElementById('thread-reader');
+  reader.innerHTML = getExportPosts().map(post => {
+    const tree = buildCommentTree(post, rows.filter(row => row.postId === post.id));
+    return `
+      <div class="reader-post">
+        <h4>${escapeHtml(post.title)}</h4>
+        <div class="reader-meta">
+          ${escapeHtml(post.author)} · ${post.score} points · ${escapeHtml(formatDate(post.dateUtc, selectedDateFormat))}
+        </div>
+        <div class="md">${renderMarkdown(post.selftext)}</div>
+        ${renderReaderComments(tree.children)}
+      </div>
+    `;
+  }).join('');
+  reader.classList.remove('hidden');
+}
+
+// Depth-first with an explicit stack, so very deep threads can't overflow the call stack;
+// a string on the stack is the closing markup of a comment whose replies are done
+function renderReaderComments(nodes) {
+  const html = [];
+  const stack = [...nodes].reverse();
+  while (stack.length) {
+    const node = stack.pop();
+    if (typeof node === 'string') {
+      html.push(node);
+      continue;
+    }
+    html.push(`
+    <div class="reader-comment" data-numbering="${escapeHtml(node.numbering)}">
+      <div class="reader-meta">
+        <a href="#" class="reader-toggle" onclick="toggleReaderComment(this); return false;">[–]</a>
+        <strong>${escapeHtml(node.numbering)}</strong>
+        ${escapeHtml(node.author)}${opBadge(node)} · ${node.score} points · ${escapeHtml(formatDate(node.dateUtc, selectedDateFormat))}
+      </div>
+      <div class="reader-body md">${node.body ? renderMarkdown(node.body) : '[deleted]'}</div>
+      <div class="reader-children">`);
+    stack.push(`</div>
+    </div>
+  `);
+    for (let i = node.children.length - 1; i >= 0; i--) stack.push(node.children[i]);
+  }
+  return html.join('');
+}
+
+function toggleReaderComment(link) {
+  const comment = link.closest('.reader-comment');
+  setReaderCollapsed(comment, !comment.classList.contains('collapsed'));
+}
+
+function setReaderCollapsed(comment, collapsed) {
+  comment.classList.toggle('collapsed', collapsed);
+  const hidden = comment.querySelectorAll('.reader-comment').length;
+  comment.querySelector('.reader-toggle').textContent = collapsed
+    ? `[+] ${hidden ? `(${hidden} ${hidden === 1 ? 'reply' : 'replies'})` : ''}`
+    : '[–]';
+}
+
+// Collapse everything below the top-level comments, or expand all
+function setAllReaderCollapsed(collapsed) {
+  document.querySelectorAll('#thread-reader .reader-comment').forEach(comment => {
+    const topLevel = !comment.parentElement.classList.contains('reader-children');
+    setReaderCollapsed(comment, collapsed && topLevel);
+  });
+}
+
+
+// =========================
+// SORTING
+// =========================
+// Click a header to sort by it (again to reverse it), shift-click to add it
+// as a further key. Ties fall back to thread order, so sorting is stable.
+// "Sort within siblings" only reorders replies of the same parent, keeping
+// every comment directly above its replies.
+let sortKeys = [];                // [{ key, asc }], most significant first
+let sortWithinSiblings = false;
+
+function sortTable(column, event) {
+  if (!tableBuilt || !tableData.length) return;
+  if (!getColumn(column)) {
+    return;
+  }
+
+  const current = sortKeys.find(k => k.key === column);
+  if (event && event.shiftKey) {
+    if (current) current.asc = !current.asc;
+    else sortKeys.push({ key: column, asc: true });
+  } else {
+    const reverse = current && sortKeys.length === 1;
+    sortKeys = [{ key: column, asc: reverse ? !current.asc : true }];
+  }
+
+  applySort();
+  renderTable(tableData);
+}
+
+// Back to the order the comments were fetched in
+function clearSort() {
+  sortKeys = [];
+  if (!tableBuilt) return;
+  applySort();
+  renderTable(tableData);
+}
+
+function onSortModeChange() {
+  sortWithinSiblings = document.getElementById('sort-within-siblings').checked;
+  if (!tableBuilt) return;
+  applySort();
+  renderTable(tableData);
+}
+
+function applySort() {
+  const compare = buildRowComparator(sortKeys);
+  tableData = sortWithinSiblings ? sortSiblings(tableData, compare) : tableData.slice().sort(compare);
+}
+
+// Batch rows stay grouped by post, in the order the posts were fetched
+function getPostOrder() {
+  const postOrder = {};
+  batchPosts.forEach((p, i) => { postOrder[p.id] = i; });
+  return postOrder;
+}
+
+function buildRowComparator(keys) {
+  const postOrder = getPostOrder();
+  const byPost = (a, b) => (postOrder[a.postId] || 0) - (postOrder[b.postId] || 0);
+  const byThread = (a, b) => byPost(a, b) || compareArray(numberingToArray(a.numbering), numberingToArray(b.numbering));
+
+  const comparators = keys.map(({ key, asc }) => {
+    const compare = key === 'postId' ? byPost : key === 'numbering' ? byThread : buildColumnComparator(getColumn(key));
+    return asc ? compare : (a, b) => compare(b, a);
+  });
+  return (a, b) => {
+    for (const compare of comparators) {
+      const result = compare(a, b);
+      if (result) return result;
+    }
+    return byThread(a, b);
+  };
+}
+
+function buildColumnComparator(col) {
+  if (['number', 'date', 'bool'].includes(col.type)) {
+    return (a, b) => Number(a[col.key] || 0) - Number(b[col.key] || 0);
+  }
+  // e.g. body, author, IDs, codes: compare the text as shown, computed once per row
+  const text = new Map();
+  const textOf = row => {
+    if (!text.has(row)) text.set(row, formatCellText(anonymizeRow(row), col).toLowerCase());
+    return text.get(row);
+  };
+  return (a, b) => {
+    const valA = textOf(a);
+    const valB = textOf(b);
+    return valA < valB ? -1 : valA > valB ? 1 : 0;
+  };
+}
+
+/**
+ * Order each parent's replies with compare and lay the thread out again,
+ * depth-first. Rows whose parent isn't in the table (e.g. a subthread
+ * export) count as top-level.
+ */
+function sortSiblings(rows, compare) {
+  const rowKey = (postId, numbering) => `${postId}|${numbering}`;
+  const present = new Set(rows.map(row => rowKey(row.postId, row.numbering)));
+  const children = new Map();   // parent key ("<postId>|" for top-level) => rows
+  rows.forEach(row => {
+    const parent = parentNumbering(row.numbering);
+    const key = parent && present.has(rowKey(row.postId, parent)) ? rowKey(row.postId, parent) : rowKey(row.postId, '');
+    if (!children.has(key)) children.set(key, []);
+    children.get(key).push(row);
+  });
+
+  const postOrder = getPostOrder();
+  const postIds = [...new Set(rows.map(row => row.postId))]
+    .sort((a, b) => (postOrder[a] || 0) - (postOrder[b] || 0));
+
+  // Depth-first with an explicit stack, so very deep threads can't overflow the call stack
+  const sorted = [];
+  const siblingsOf = key => (children.get(key) || []).sort(compare);
+  postIds.forEach(postId => {
+    const stack = [{ rows: siblingsOf(rowKey(postId, '')), next: 0 }];
+    while (stack.length) {
+      const level = stack[stack.length - 1];
+      if (level.next >= level.rows.length) {
+        stack.pop();
+        continue;
+      }
+      const row = level.rows[level.next++];
+      sorted.push(row);
+      stack.push({ rows: siblingsOf(rowKey(row.postId, row.numbering)), next: 0 });
+    }
+  });
+  return sorted;
+}
+
+// Header cell that sorts its column and shows where it sits in the sort order
+function sortHeader(key, label) {
+  return `<th onclick="sortTable('${key}', event)" title="Click to sort, shift-click to add as a further sort key">`
+    + `${escapeHtml(label)}${sortIndicator(key)}</th>`;
+}
+
+function sortIndicator(key) {
+  const i = sortKeys.findIndex(k => k.key === key);
+  if (i < 0) return '';
+  const rank = sortKeys.length > 1 ? `<sup>${i + 1}</sup>` : '';
+  return ` <span class="sort-indicator no-copy">${sortKeys[i].asc ? '▲' : '▼'}${rank}</span>`;
+}
+
+// Compact mode has no author, date or score columns to click, so the body header offers them
+function compactSortLinks() {
+  const links = [['author', 'author'], ['dateUtc', 'date'], ['score', 'score']].map(([key, label]) =>
+    `<a href="#" onclick="event.stopPropagation(); sortTable('${key}', event); return false;">${label}</a>${sortIndicator(key)}`
+  );
+  return `<span class="compact-sort no-copy">sort by ${links.join(' · ')}</span>`;
+}
+
+function getColumn(key) {
+  return COMMENT_COLUMNS.find(col => col.key === key);
+}
+
+// For "2.1.1" => [2,1,1]
+function compareArray(a, b) {
+  const len = Math.max(a.length, b.length);
+  for (let i = 0; i < len; i++) {
+    const valA = a[i] || 0;
+    const valB = b[i] || 0;
+    if (valA < valB) return -1;
+    if (valA > valB) return 1;
+  }
+  return 0;
+}
+
+
+// =========================
+// DOWNLOAD CSV
+// =========================
+function downloadCSV() {
+  if (!tableBuilt || !tableData.length) {
+    alert('No table data to download. Please export first.');
+    return;
+  }
+
+  // Batch exports get a leading Post ID column; annotations follow once a codebook exists
+  const options = {
+    ...readCsvDialect(),
+    compact: isCompactMode,
+    dateFormat: selectedDateFormat,
+    removeNewlines,
+    withPostId: isBatchMode,
+    columns: getVisibleColumns(),
+    extraColumns: codebook.length ? [
+      { label: 'Codes', value: row => getAnnotation(row).codes.join('; ') },
+      { label: 'Memo', value: row => getAnnotation(row).memo }
+    ] : []
+  };
+  options.cellText = (row, col) => formatCellText(row, col, options);
+  downloadCsvText(buildCommentsCsv(getExportRows(), options), options);
+}
+
+// Download CSV text as .csv, or .tsv for the tab dialect; suffix tells apart the extra tables
+function downloadCsvText(csvContent, dialect, suffix) {
+  const isTsv = dialect.delimiter === '\t';
+  const blob = new Blob([csvContent], { type: `${isTsv ? 'text/tab-separated-values' : 'text/csv'};charset=utf-8;` });
+  triggerDownload(blob, getExportFileName(isTsv ? 'tsv' : 'csv', suffix));
+}
+
+// CSV settings from the download section; missing fields fall back to the classic dialect
+function readCsvDialect() {
+  return {
+    delimiter: CSV_DELIMITERS[document.getElementById('csv-delimiter').value] || ',',
+    quote: document.getElementById('csv-quote').value === 'minimal' ? 'minimal' : 'all',
+    bom: document.getElementById('csv-bom').checked,
+    lineEnding: document.getElementById('csv-crlf').checked ? '\r\n' : '\n',
+    nullValue: document.getElementById('csv-null').value,
+    epochColumns: document.getElementById('csv-epoch').checked,
+    protectFormulas: document.getElementById('csv-protect-formulas').checked
+  };
+}
+
+// Download name from the file name template: {subreddit}, {postId} and {date} of the fetch,
+// plus "_<suffix>" for downloads other than the comments themselves
+function getExportFileName(extension, suffix) {
+  const posts = isBatchMode ? batchPosts : [postInfo];
+  const subreddits = [...new Set(posts.map(p => p && p.subreddit).filter(Boolean))];
+  const fetchedAt = fetchLog.length && fetchLog[0].fetchedAt ? new Date(fetchLog[0].fetchedAt) : new Date();
+  const template = document.getElementById('file-name-template').value.trim() || 'reddit_comments';
+  return formatFileName(suffix ? `${template}_${suffix}` : template, {
+    subreddit: subreddits.length === 1 ? subreddits[0] : 'multiple',
+    postId: isBatchMode ? 'batch' : (postInfo && postInfo.id),
+    date: fetchedAt.toISOString().slice(0, 10)
+  }, extension);
+}
+
+const DOWNLOAD_URL_LIFETIME_MS = 10000; // Firefox and Safari cancel downloads whose URL is revoked too soon
+
+// Hand a Blob to the browser as a file download
+function triggerDownload(blob, filename) {
+  const url = URL.createObjectURL(blob);
+
+  const tempLink = document.createElement('a');
+  tempLink.href = url;
+  tempLink.download = filename;
+  document.body.appendChild(tempLink);
+  tempLink.click();
+  document.body.removeChild(tempLink);
+  setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_URL_LIFETIME_MS);
+}
+
+
+
+// =========================
+// DOWNLOAD JSON
+// =========================
+/**
+ * Download the current data as JSON in the shape picked in #json-format:
+ * - flat:   { manifest, posts, comments } with every row tagged with postId
+ * - nested: { manifest, posts } where each post is the root of its reply tree
+ * - ndjson: one manifest line, one line per post, then one line per comment
+ */
+function downloadJSON() {
+  if (!tableBuilt || !tableData.length) {
+    alert('No table data to download. Please export first.');
+    return;
+  }
+
+  const format = document.getElementById('json-format').value;
+  const posts = getExportPosts();
+  const manifest = buildExportManifest(format, getExportRows().length);
+  const rows = codebook.length ? getExportRows().map(withAnnotation) : getExportRows();
+  let content;
+  let type = 'application/json;charset=utf-8;';
+  let filename = getExportFileName('json');
+
+  if (format === 'nested') {
+    const trees = posts.map(post =>
+      buildCommentTree(post, rows.filter(row => row.postId === post.id))
+    );
+    content = JSON.stringify({ manifest, posts: trees }, null, 2);
+  } else if (format === 'ndjson') {
+    content = buildNdjson(manifest, posts, rows);
+    type = 'application/x-ndjson;charset=utf-8;';
+    filename = getExportFileName('ndjson');
+  } else {
+    content = JSON.stringify({ manifest, posts, comments: rows }, null, 2);
+  }
+
+  triggerDownload(new Blob([content], { type }), filename);
+}
+
+// Post info for every post in the current export (one in single mode), anonymized if enabled
+function getExportPosts() {
+  return (isBatchMode ? batchPosts : [postInfo]).map(anonymizePost);
+}
+
+// Where and when the data came from, so an export can be cited and reproduced
+function buildExportManifest(format, commentCount) {
+  return {
+    tool: TOOL_NAME,
+    version: TOOL_VERSION,
+    doi: TOOL_DOI,
+    format,
+    exportedAt: new Date().toISOString(),
+    sources: fetchLog,
+    commentCount,
+    filters: describeActiveFilters(),
+    codebook
+  };
+}
+
+/**
+ * Nest one post's rows under the post, following the numbering
+ * the same way buildHierarchyFromDict does for the visualization.
+ */
+function buildCommentTree(post, rows) {
+  const root = { ...post, children: [] };
+  const byNumbering = {};
+  rows.forEach(row => {
+    byNumbering[row.numbering] = { ...row, children: [] };
+  });
+
+  const nodes = Object.values(byNumbering);
+  nodes.forEach(node => {
+    const parent = byNumbering[parentNumbering(node.numbering)] || root;
+    parent.children.push(node);
+  });
+
+  // Numbering order keeps siblings in thread order whatever the table sort. Siblings differ
+  // only in the last part, except at the root, which also gets comments whose parent was filtered out
+  const lastPart = node => Number(node.numbering.slice(node.numbering.lastIndexOf('.') + 1));
+  root.children.sort((a, b) => compareArray(numberingToArray(a.numbering), numberingToArray(b.numbering)));
+  nodes.forEach(node => node.children.sort((a, b) => lastPart(a) - lastPart(b)));
+  return root;
+}
+
+// One JSON object per line; every line says what it is in `type`
+function buildNdjson(manifest, posts, rows) {
+  const lines = [JSON.stringify({ type: 'manifest', ...manifest })];
+  posts.forEach(post => lines.push(JSON.stringify({ type: 'post', ...post })));
+  rows.forEach(row => {
+    lines.push(JSON.stringify({ type: 'comment', ...row, parentNumbering: parentNumbering(row.numbering) }));
+  });
+  return lines.join('\n') + '\n';
+}
+
+// "2.1.1" => "2.1"; top-level comments have no parent numbering
+function parentNumbering(numbering) {
+  const parts = numbering.split('.');
+  return parts.length > 1 ? parts.slice(0, -1).join('.') : null;
+}
+
+// "2.1.1" => [2,1,1]
+function numberingToArray(numbering) {
+  return numbering.split('.').map(num => parseInt(num));
+}
+
+
+// =========================
+// SPREADSHEET EXPORT (XLSX / ODS)
+// =========================
+// Both formats are zip archives of XML parts, written here without a server
+// or library: typed cells, numbering as text, wrapped bodies, frozen header.
+
+const EXCEL_EPOCH_OFFSET = 25569; // days from 1899-12-30 to 1970-01-01
+const POST_DATE_KEYS = ['dateUtc', 'edited'];
+
+function downloadXLSX() {
+  if (!tableBuilt || !tableData.length) {
+    alert('No table data to download. Please export first.');
+    return;
+  }
+  const sheets = buildSpreadsheetSheets();
+  const files = [
+    { name: '[Content_Types].xml', data: xlsxContentTypes(sheets.length) },
+    { name: '_rels/.rels', data: XLSX_ROOT_RELS },
+    { name: 'xl/workbook.xml', data: xlsxWorkbook(sheets) },
+    { name: 'xl/_rels/workbook.xml.rels', data: xlsxWorkbookRels(sheets.length) },
+    { name: 'xl/styles.xml', data: XLSX_STYLES },
+    ...sheets.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: xlsxSheet(sheet) }))
+  ];
+  const blob = new Blob([buildZip(files)], {
+    type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  });
+  triggerDownload(blob, getExportFileName('xlsx'));
+}
+
+function downloadODS() {
+  if (!tableBuilt || !tableData.length) {
+    alert('No table data to download. Please export first.');
+    return;
+  }
+  const sheets = buildSpreadsheetSheets();
+  // The mimetype entry must come first and stay uncompressed
+  const files = [
+    { name: 'mimetype', data: ODS_MIMETYPE },
+    { name: 'META-INF/manifest.xml', data: ODS_MANIFEST },
+    { name: 'content.xml', data: odsContent(sheets) },
+    { name: 'settings.xml', data: odsSettings(sheets) }
+  ];
+  triggerDownload(new Blob([buildZip(files)], { type: ODS_MIMETYPE }), getExportFileName('ods'));
+}
+
+/**
+ * Describe the workbook independent of the file format:
+ * a "Post" sheet (one row per post) and a "Comments" sheet
+ * using the columns from the column chooser.
+ * Cells are { type: 'text'|'number'|'date'|'bool', value, wrap }.
+ */
+function buildSpreadsheetSheets() {
+  const posts = getExportPosts();
+  const postKeys = Object.keys(posts[0]);
+  const postSheet = {
+    name: 'Post',
+    widths: postKeys.map(key => (key === 'selftext' || key === 'title') ? 60 : 18),
+    header: postKeys,
+    rows: posts.map(post => postKeys.map(key => {
+      const value = post[key];
+      if (POST_DATE_KEYS.includes(key)) return { type: 'date', value };
+      if (typeof value === 'number') return { type: 'number', value };
+      if (typeof value === 'boolean') return { type: 'bool', value };
+      return { type: 'text', value, wrap: key === 'selftext' };
+    }))
+  };
+
+  const columns = getVisibleColumns();
+  const commentSheet = {
+    name: 'Comments',
+    widths: columns.map(col => col.type === 'body' ? 80 : 14),
+    header: columns.map(col => col.label),
+    rows: getExportRows().map(row => columns.map(col => {
+      const value = row[col.key];
+      switch (col.type) {
+        case 'number':
+        case 'date':
+        case 'bool':
+          return { type: col.type, value };
+        case 'body':
+          return { type: 'text', value: formatCellText(row, col), wrap: true };
+        default:
+          // numbering ("1.10") and IDs must stay text
+          return { type: 'text', value: formatCellText(row, col) };
+      }
+    }))
+  };
+
+  return [postSheet, commentSheet];
+}
+
+// XML-escape and drop control characters that are illegal in XML 1.0
+function escapeXml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// 0 => "A", 25 => "Z", 26 => "AA"
+function columnLetter(index) {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+// --- XLSX parts ---
+
+const XLSX_ROOT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`;
+
+// Cell styles: 0 default, 1 bold header, 2 date, 3 wrapped text, 4 text ("@")
+const XLSX_STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm:ss"/></numFmts>
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="5">
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>
+<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="49" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1" applyAlignment="1"><alignment wrapText="1" vertical="top"/></xf>
+<xf numFmtId="49" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+</cellXfs>
+</styleSheet>`;
+
+function xlsxContentTypes(sheetCount) {
+  let sheets = '';
+  for (let i = 1; i <= sheetCount; i++) {
+    sheets += `<Override PartName="/xl/worksheets/sheet${i}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`;
+  }
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+${sheets}
+</Types>`;
+}
+
+function xlsxWorkbook(sheets) {
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets>${sheets.map((sheet, i) =>
+    `<sheet name="${escapeXml(sheet.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets>
+</workbook>`;
+}
+
+function xlsxWorkbookRels(sheetCount) {
+  let rels = '';
+  for (let i = 1; i <= sheetCount; i++) {
+    rels += `<Relationship Id="rId${i}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i}.xml"/>`;
+  }
+  rels += `<Relationship Id="rId${sheetCount + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>`;
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${rels}</Relationships>`;
+}
+
+function xlsxSheet(sheet) {
+  const headerCells = sheet.header.map((label, c) =>
+    `<c r="${columnLetter(c)}1" t="inlineStr" s="1"><is><t>${escapeXml(label)}</t></is></c>`).join('');
+  const rows = sheet.rows.map((cells, r) => {
+    const rowNum = r + 2;
+    return `<row r="${rowNum}">${cells.map((cell, c) => xlsxCell(cell, `${columnLetter(c)}${rowNum}`)).join('')}</row>`;
+  }).join('');
+  const cols = sheet.widths.map((w, i) => `<col min="${i + 1}" max="${i + 1}" width="${w}" customWidth="1"/>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>
+<cols>${cols}</cols>
+<sheetData><row r="1">${headerCells}</row>${rows}</sheetData>
+</worksheet>`;
+}
+
+function xlsxCell(cell, ref) {
+  if (cell.value === null || cell.value === undefined || cell.value === '') {
+    return '';
+  }
+  switch (cell.type) {
+    case 'number':
+      return Number.isFinite(cell.value) ? `<c r="${ref}"><v>${cell.value}</v></c>` : '';
+    case 'date':
+      return `<c r="${ref}" s="2"><v>${cell.value / 86400 + EXCEL_EPOCH_OFFSET}</v></c>`;
+    case 'bool':
+      return `<c r="${ref}" t="b"><v>${cell.value ? 1 : 0}</v></c>`;
+    default:
+      return `<c r="${ref}" t="inlineStr" s="${cell.wrap ? 3 : 4}"><is><t xml:space="preserve">${escapeXml(cell.value)}</t></is></c>`;
+  }
+}
+
+// --- ODS parts ---
+
+const ODS_MIMETYPE = 'application/vnd.oasis.opendocument.spreadsheet';
+
+const ODS_MANIFEST = `<?xml version="1.0" encoding="UTF-8"?>
+<manifest:manifest xmlns:manifest="urn:oasis:names:tc:opendocument:xmlns:manifest:1.0" manifest:version="1.2">
+<manifest:file-entry manifest:full-path="/" manifest:media-type="${ODS_MIMETYPE}"/>
+<manifest:file-entry manifest:full-path="content.xml" manifest:media-type="text/xml"/>
+<manifest:file-entry manifest:full-path="settings.xml" manifest:media-type="text/xml"/>
+</manifest:manifest>`;
+
+function odsContent(sheets) {
+  const tables = sheets.map(sheet => {
+    const cols = sheet.widths.map(w =>
+      `<table:table-column table:style-name="${w > 40 ? 'coWide' : 'coNarrow'}"/>`).join('');
+    const header = `<table:table-row>${sheet.header.map(label =>
+      `<table:table-cell table:style-name="ceHeader" office:value-type="string"><text:p>${escapeXml(label)}</text:p></table:table-cell>`
+    ).join('')}</table:table-row>`;
+    const rows = sheet.rows.map(cells =>
+      `<table:table-row>${cells.map(odsCell).join('')}</table:table-row>`).join('');
+    return `<table:table table:name="${escapeXml(sheet.name)}">${cols}`
+         + `<table:table-header-rows>${header}</table:table-header-rows>${rows}</table:table>`;
+  }).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<office:document-content xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0"
+  xmlns:style="urn:oasis:names:tc:opendocument:xmlns:style:1.0"
+  xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0"
+  xmlns:table="urn:oasis:names:tc:opendocument:xmlns:table:1.0"
+  xmlns:fo="urn:oasis:names:tc:opendocument:xmlns:xsl-fo-compatible:1.0"
+  xmlns:number="urn:oasis:names:tc:opendocument:xmlns:datastyle:1.0" office:version="1.2">
+<office:automatic-styles>
+<number:date-style style:name="nDate">
+<number:year number:style="long"/><number:text>-</number:text><number:month number:style="long"/><number:text>-</number:text><number:day number:style="long"/>
+<number:text> </number:text><number:hours number:style="long"/><number:text>:</number:text><number:minutes number:style="long"/><number:text>:</number:text><number:seconds number:style="long"/>
+</number:date-style>
+<style:style style:name="coNarrow" style:family="table-column"><style:table-column-properties style:column-width="3cm"/></style:style>
+<style:style style:name="coWide" style:family="table-column"><style:table-column-properties style:column-width="15cm"/></style:style>
+<style:style style:name="ceHeader" style:family="table-cell"><style:text-properties fo:font-weight="bold"/></style:style>
+<style:style style:name="ceDate" style:family="table-cell" style:data-style-name="nDate"/>
+<style:style style:name="ceWrap" style:family="table-cell"><style:table-cell-properties fo:wrap-option="wrap" style:vertical-align="top"/></style:style>
+</office:automatic-styles>
+<office:body><office:spreadsheet>${tables}</office:spreadsheet></office:body>
+</office:document-content>`;
+}
+
+function odsCell(cell) {
+  if (cell.value === null || cell.value === undefined || cell.value === '') {
+    return '<table:table-cell/>';
+  }
+  switch (cell.type) {
+    case 'number':
+      return Number.isFinite(cell.value)
+        ? `<table:table-cell office:value-type="float" office:value="${cell.value}"><text:p>${cell.value}</text:p></table:table-cell>`
+        : '<table:table-cell/>';
+    case 'date': {
+      const iso = new Date(cell.value * 1000).toISOString().slice(0, 19);
+      return `<table:table-cell table:style-name="ceDate" office:value-type="date" office:date-value="${iso}"><text:p>${iso.replace('T', ' ')}</text:p></table:table-cell>`;
+    }
+    case 'bool':
+      return `<table:table-cell office:value-type="boolean" office:boolean-value="${cell.value}"><text:p>${cell.value ? 'TRUE' : 'FALSE'}</text:p></table:table-cell>`;
+    default: {
+      // One <text:p> per line keeps line breaks inside the cell
+      const paragraphs = String(cell.value).split(/\r?\n|\r/).map(line => `<text:p>${escapeXml(line)}</text:p>`).join('');
+      const style = cell.wrap ? ' table:style-name="ceWrap"' : '';
+      return `<table:table-cell${style} office:value-type="string">${paragraphs}</table:table-cell>`;
+    }
+  }
+}
+
+// Freeze the header row of every sheet
+function odsSettings(sheets) {
+  const tables = sheets.map(sheet => `
+<config:config-item-map-entry config:name="${escapeXml(sheet.name)}">
+<config:config-item config:name="VerticalSplitMode" config:type="short">2</config:config-item>
+<config:config-item config:name="VerticalSplitPosition" config:type="int">1</config:config-item>
+<config:config-item config:name="ActiveSplitRange" config:type="short">2</config:config-item>
+<config:config-item config:name="PositionBottom" config:type="int">1</config:config-item>
+</config:config-item-map-entry>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<office:document-settings xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0"
+  xmlns:config="urn:oasis:names:tc:opendocument:xmlns:config:1.0" office:version="1.2">
+<office:settings><config:config-item-set config:name="ooo:view-settings">
+<config:config-item-map-indexed config:name="Views"><config:config-item-map-entry>
+<config:config-item-map-named config:name="Tables">${tables}</config:config-item-map-named>
+</config:config-item-map-entry></config:config-item-map-indexed>
+</config:config-item-set></office:settings>
+</office:document-settings>`;
+}
+
+// --- Minimal zip writer (stored entries, no compression) ---
+
+let crcTable = null;
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// files: [{ name, data: string }] => Uint8Array of a zip archive
+function buildZip(files) {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const name = encoder.encode(file.name);
+    const data = encoder.encode(file.data);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true);   // UTF-8 names
+    local.setUint16(8, 0, true);        // stored
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    localParts.push(new Uint8Array(local.buffer), name, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, dosTime, true);
+    central.setUint16(14, dosDate, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    centralParts.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let pos = 0;
+  parts.forEach(part => {
+    out.set(part, pos);
+    pos += part.length;
+  });
+  return out;
+}
+
+
+// =========================
+// NETWORK EXPORT (GraphML / GEXF / CSV)
 // =========================
-let sortAsc = true;
-function sortTable(column) {
-  if (!tableBuilt || !tableData.length) return;
-  if (!(column in tableData[0]) && column !== 'body') {
+// Graphs are built once in a format-neutral shape:
+// { attrs: { node: [{ key, type }], edge: [...] }, nodes: [{ id, label, data }], edges: [{ source, target, weight, data }] }
+// where attribute types are 'string' | 'int' | 'double' | 'boolean'.
+
+function downloadNetwork() {
+  if (!tableBuilt || !tableData.length) {
+    alert('No table data to download. Please export first.');
     return;
   }
+  const mode = document.getElementById('network-mode').value;
+  const format = document.getElementById('network-format').value;
+  const graph = mode === 'authors'
+    ? buildAuthorGraph(getExportPosts(), getExportRows())
+    : buildReplyGraph(getExportPosts(), getExportRows());
+  const suffix = mode === 'authors' ? 'author_network' : 'reply_tree';
 
-  if (column === 'numbering') {
-    tableData.sort((a, b) => {
-      const arrA = a.numbering.split('.').map(num => parseInt(num));
-      const arrB = b.numbering.split('.').map(num => parseInt(num));
-      return compareArray(arrA, arrB) * (sortAsc ? 1 : -1);
-    });
-  } else if (column === 'dateUtc') {
-    tableData.sort((a, b) => ((a.dateUtc || 0) - (b.dateUtc || 0)) * (sortAsc ? 1 : -1));
-  } else if (['upvotes','downvotes','level','score'].includes(column)) {
-    tableData.sort((a, b) => (a[column] - b[column]) * (sortAsc ? 1 : -1));
-  } else if (column === 'body') {
-    tableData.sort((a, b) => {
-      const valA = a.body.toLowerCase();
-      const valB = b.body.toLowerCase();
-      if (valA < valB) return sortAsc ? -1 : 1;
-      if (valA > valB) return sortAsc ? 1 : -1;
-      return 0;
-    });
+  if (format === 'gexf') {
+    triggerDownload(new Blob([graphToGexf(graph)], { type: 'application/xml;charset=utf-8;' }), getExportFileName('gexf', suffix));
+  } else if (format === 'csv') {
+    // Gephi's spreadsheet import wants separate node and edge tables
+    const dialect = readCsvDialect();
+    const extension = dialect.delimiter === '\t' ? 'tsv' : 'csv';
+    const zip = buildZip([
+      { name: getExportFileName(extension, `${suffix}_nodes`), data: graphNodesToCsv(graph, dialect) },
+      { name: getExportFileName(extension, `${suffix}_edges`), data: graphEdgesToCsv(graph, dialect) }
+    ]);
+    triggerDownload(new Blob([zip], { type: 'application/zip' }), getExportFileName('zip', `${suffix}_csv`));
   } else {
-    // e.g. author
-    tableData.sort((a, b) => {
-      const valA = String(a[column]).toLowerCase();
-      const valB = String(b[column]).toLowerCase();
-      if (valA < valB) return sortAsc ? -1 : 1;
-      if (valA > valB) return sortAsc ? 1 : -1;
-      return 0;
-    });
+    triggerDownload(new Blob([graphToGraphml(graph)], { type: 'application/xml;charset=utf-8;' }), getExportFileName('graphml', suffix));
   }
+}
 
-  sortAsc = !sortAsc;
-  renderTable(tableData);
+// Stable node ID for a comment: its Reddit fullname, else post + numbering
+function commentNodeId(row) {
+  return row.id ? `t1_${row.id}` : `${row.postId}_${row.numbering}`;
 }
 
-// For "2.1.1" => [2,1,1]
-function compareArray(a, b) {
-  const len = Math.max(a.length, b.length);
-  for (let i = 0; i < len; i++) {
-    const valA = a[i] || 0;
-    const valB = b[i] || 0;
-    if (valA < valB) return -1;
-    if (valA > valB) return 1;
-  }
-  return 0;
+/**
+ * Comment reply tree: one node per post and per comment,
+ * one edge from each comment to the comment (or post) it replies to.
+ */
+function buildReplyGraph(posts, rows) {
+  const nodes = [];
+  const edges = [];
+  const idByNumbering = {};
+
+  posts.forEach(post => {
+    nodes.push({
+      id: `t3_${post.id}`,
+      label: post.title,
+      data: { kind: 'post', postId: post.id, author: post.author, score: post.score,
+              date: formatDate(post.dateUtc, selectedDateFormat), timestamp: post.dateUtc || null, depth: 0, numbering: '' }
+    });
+  });
+  rows.forEach(row => {
+    const id = commentNodeId(row);
+    idByNumbering[`${row.postId}|${row.numbering}`] = id;
+    nodes.push({
+      id,
+      label: row.numbering,
+      data: { kind: 'comment', postId: row.postId, author: row.author, score: row.score,
+              date: formatDate(row.dateUtc, selectedDateFormat), timestamp: row.dateUtc || null, depth: row.level,
+              numbering: row.numbering }
+    });
+  });
+  rows.forEach(row => {
+    const parentNum = parentNumbering(row.numbering);
+    const target = parentNum ? idByNumbering[`${row.postId}|${parentNum}`] : `t3_${row.postId}`;
+    if (target) edges.push({ source: commentNodeId(row), target, weight: 1, data: {} });
+  });
+
+  return {
+    attrs: {
+      node: [
+        { key: 'kind', type: 'string' }, { key: 'postId', type: 'string' }, { key: 'author', type: 'string' },
+        { key: 'score', type: 'int' }, { key: 'date', type: 'string' }, { key: 'timestamp', type: 'int' },
+        { key: 'depth', type: 'int' }, { key: 'numbering', type: 'string' }
+      ],
+      edge: []
+    },
+    nodes,
+    edges
+  };
 }
 
+/**
+ * Author interaction graph: one node per author, one edge from the replying
+ * author to the replied-to author (the OP for top-level comments), weighted
+ * by the number of replies. [deleted] accounts are left out because they
+ * are not one person.
+ */
+function buildAuthorGraph(posts, rows) {
+  const authors = {};
+  const edgeMap = {};
+  const postAuthor = {};
+  posts.forEach(post => { postAuthor[post.id] = post.author; });
+
+  const byNumbering = {};
+  rows.forEach(row => { byNumbering[`${row.postId}|${row.numbering}`] = row; });
 
-// =========================
-// DOWNLOAD CSV
-// =========================
-function downloadCSV() {
-  if (!tableBuilt || !tableData.length) {
-    alert('No table data to download. Please export first.');
-    return;
-  }
+  const touch = (name, row) => {
+    if (!authors[name]) {
+      authors[name] = { comments: 0, score: 0, firstUtc: 0, depthSum: 0 };
+    }
+    if (row) {
+      const a = authors[name];
+      a.comments++;
+      a.score += Number(row.score) || 0;
+      a.depthSum += row.level;
+      if (row.dateUtc && (!a.firstUtc || row.dateUtc < a.firstUtc)) a.firstUtc = row.dateUtc;
+    }
+  };
 
-  let csvContent = '';
+  rows.forEach(row => {
+    if (DELETED_AUTHORS.includes(row.author)) return;
+    touch(row.author, row);
 
-  if (isCompactMode) {
-    csvContent += 'Number,Body (Compact)\n';
-    tableData.forEach(row => {
-      const dateString = formatDate(row.dateUtc);
-      let bodyText = row.body;
-      if (removeNewlines) {
-        bodyText = bodyText.replace(/\r?\n|\n\r|\n|\r/g, ' ');
-      }
-      const combined = `${bodyText} (by ${row.author}, ${dateString}, ↑↓ ${row.score})`
-                       .replace(/\r?\n|\r/g, ' ');
-      csvContent += convertToCsvRow([row.numbering, combined]) + '\n';
-    });
-  } else {
-    csvContent += 'Number,Level,Body,Author,Date(UTC),Upvotes,Downvotes\n';
-    tableData.forEach(row => {
-      const dateString = formatDate(row.dateUtc).replace(/\r?\n|\r/g, ' ');
-      let bodyText = row.body;
-      if (removeNewlines) {
-        bodyText = bodyText.replace(/\r?\n|\n\r|\n|\r/g, ' ');
-      }
-      const rowArr = [
-        row.numbering,
-        row.level,
-        bodyText,
-        row.author,
-        dateString,
-        row.upvotes,
-        row.downvotes
-      ];
-      csvContent += convertToCsvRow(rowArr) + '\n';
-    });
-  }
+    const parentNum = parentNumbering(row.numbering);
+    const target = parentNum
+      ? (byNumbering[`${row.postId}|${parentNum}`] || {}).author
+      : postAuthor[row.postId];
+    if (!target || DELETED_AUTHORS.includes(target)) return;
 
-  const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-  const url = URL.createObjectURL(blob);
+    touch(target, null);
+    const key = `${row.author}\u0000${target}`;
+    edgeMap[key] = (edgeMap[key] || 0) + 1;
+  });
 
-  const tempLink = document.createElement('a');
-  tempLink.href = url;
-  tempLink.download = 'reddit_comments.csv';
-  document.body.appendChild(tempLink);
-  tempLink.click();
-  document.body.removeChild(tempLink);
+  const nodes = Object.entries(authors).map(([name, a]) => ({
+    id: name,
+    label: name,
+    data: {
+      comments: a.comments,
+      score: a.score,
+      meanDepth: a.comments ? +(a.depthSum / a.comments).toFixed(3) : 0,
+      firstDate: formatDate(a.firstUtc, selectedDateFormat),
+      firstTimestamp: a.firstUtc || null,
+      isOp: Object.values(postAuthor).includes(name)
+    }
+  }));
+  const edges = Object.entries(edgeMap).map(([key, weight]) => {
+    const [source, target] = key.split('\u0000');
+    return { source, target, weight, data: {} };
+  });
+
+  return {
+    attrs: {
+      node: [
+        { key: 'comments', type: 'int' }, { key: 'score', type: 'int' }, { key: 'meanDepth', type: 'double' },
+        { key: 'firstDate', type: 'string' }, { key: 'firstTimestamp', type: 'int' }, { key: 'isOp', type: 'boolean' }
+      ],
+      edge: []
+    },
+    nodes,
+    edges
+  };
 }
 
-// Convert array of fields to CSV row
-function convertToCsvRow(arr) {
-  return arr.map(cell => {
-    const str = String(cell).replace(/"/g, '""');
-    return `"${str}"`;
-  }).join(',');
+function graphToGraphml(graph) {
+  const keys = [
+    `<key id="label" for="node" attr.name="label" attr.type="string"/>`,
+    ...graph.attrs.node.map(a => `<key id="n_${a.key}" for="node" attr.name="${a.key}" attr.type="${a.type}"/>`),
+    `<key id="weight" for="edge" attr.name="weight" attr.type="double"/>`
+  ];
+  const nodes = graph.nodes.map(n =>
+    `<node id="${escapeXml(n.id)}"><data key="label">${escapeXml(n.label)}</data>`
+    + graph.attrs.node.filter(a => hasAttrValue(n.data[a.key]))
+        .map(a => `<data key="n_${a.key}">${escapeXml(n.data[a.key])}</data>`).join('')
+    + `</node>`);
+  const edges = graph.edges.map((e, i) =>
+    `<edge id="e${i}" source="${escapeXml(e.source)}" target="${escapeXml(e.target)}">`
+    + `<data key="weight">${e.weight}</data></edge>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<graphml xmlns="http://graphml.graphdrawing.org/xmlns">
+${keys.join('\n')}
+<graph id="G" edgedefault="directed">
+${nodes.join('\n')}
+${edges.join('\n')}
+</graph>
+</graphml>
+`;
+}
+
+function graphToGexf(graph) {
+  // GEXF uses integer/float where GraphML says int/double
+  const gexfType = type => ({ int: 'integer', double: 'float' }[type] || type);
+  const attrs = graph.attrs.node.map((a, i) =>
+    `<attribute id="${i}" title="${a.key}" type="${gexfType(a.type)}"/>`);
+  const nodes = graph.nodes.map(n =>
+    `<node id="${escapeXml(n.id)}" label="${escapeXml(n.label)}"><attvalues>`
+    + graph.attrs.node.map((a, i) => hasAttrValue(n.data[a.key])
+        ? `<attvalue for="${i}" value="${escapeXml(n.data[a.key])}"/>` : '').join('')
+    + `</attvalues></node>`);
+  const edges = graph.edges.map((e, i) =>
+    `<edge id="${i}" source="${escapeXml(e.source)}" target="${escapeXml(e.target)}" weight="${e.weight}"/>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gexf xmlns="http://gexf.net/1.3" version="1.3">
+<meta lastmodifieddate="${new Date().toISOString().slice(0, 10)}"><creator>${TOOL_NAME} ${TOOL_VERSION}</creator></meta>
+<graph mode="static" defaultedgetype="directed">
+<attributes class="node">
+${attrs.join('\n')}
+</attributes>
+<nodes>
+${nodes.join('\n')}
+</nodes>
+<edges>
+${edges.join('\n')}
+</edges>
+</graph>
+</gexf>
+`;
+}
+
+// Missing values (e.g. a comment without a score) are left out rather than written as ""
+function hasAttrValue(value) {
+  return value !== null && value !== undefined && value !== '' && !Number.isNaN(value);
+}
+
+// Gephi node table: Id, Label, then one column per attribute
+function graphNodesToCsv(graph, dialect) {
+  const header = ['Id', 'Label', ...graph.attrs.node.map(a => a.key)];
+  const rows = graph.nodes.map(n => [n.id, n.label, ...graph.attrs.node.map(a => n.data[a.key])]);
+  return buildCsv(header, rows, dialect);
+}
+
+// Gephi edge table: Source, Target, Type, Weight
+function graphEdgesToCsv(graph, dialect) {
+  const rows = graph.edges.map(e => [e.source, e.target, 'Directed', e.weight]);
+  return buildCsv(['Source', 'Target', 'Type', 'Weight'], rows, dialect);
 }
 
 
 // =========================
 // COPY TABLE AS HTML
 // =========================
+function buildFullTableElement(tableEl) {
+  const container = document.createElement('div');
+  container.innerHTML = `<table id="output-table" class="table table-hover">
+    ${tableEl.querySelector('thead').outerHTML}
+    <tbody>${tableView.rows.map(tableView.rowHtml).join('')}</tbody>
+  </table>`;
+  return container.firstElementChild;
+}
+
 function copyTableAsHTML() {
   if (!tableBuilt) {
     alert('No table to copy. Please export first.');
@@ -470,7 +3466,11 @@ function copyTableAsHTML() {
     return;
   }
 
-  const tableHtml = tableEl.outerHTML;
+  // Drop UI-only controls (e.g. the annotation edit buttons) from the copy;
+  // a windowed table only has its visible rows in the page, so rebuild it whole
+  const copyEl = tableView ? buildFullTableElement(tableEl) : tableEl.cloneNode(true);
+  copyEl.querySelectorAll('.no-copy').forEach(el => el.remove());
+  const tableHtml = copyEl.outerHTML;
 
   if (navigator.clipboard && window.ClipboardItem) {
     const blob = new Blob([tableHtml], { type: 'text/html' });
@@ -479,15 +3479,21 @@ function copyTableAsHTML() {
       alert('Table copied as HTML! You can paste it into Word or other applications.');
     }).catch(err => {
       console.error('ClipboardItem failed:', err);
-      fallbackCopyAsHTML(tableEl);
+      fallbackCopyAsHTML(copyEl);
     });
   } else {
-    fallbackCopyAsHTML(tableEl);
+    fallbackCopyAsHTML(copyEl);
   }
 }
 
-// Fallback for older browsers
+// Fallback for older browsers; the table must be in the document to be selected
 function fallbackCopyAsHTML(tableEl) {
+  const holder = document.createElement('div');
+  holder.style.position = 'absolute';
+  holder.style.left = '-99999px';
+  holder.appendChild(tableEl);
+  document.body.appendChild(holder);
+
   const range = document.createRange();
   range.selectNodeContents(tableEl);
 
@@ -507,6 +3513,284 @@ function fallbackCopyAsHTML(tableEl) {
     alert('Error copying table. Please try a modern browser.');
   }
   selection.removeAllRanges();
+  document.body.removeChild(holder);
+}
+
+
+// =========================
+// THREAD ANALYTICS
+// =========================
+// Descriptive statistics for the rows in the table (filters and
+// anonymization apply), drawn as small D3 bar charts and downloadable as CSV.
+
+let threadStats = null; // last computed stats, for the CSV download
+
+function showThreadAnalytics() {
+  const postId = document.getElementById('analytics-post-select').value;
+  const posts = getExportPosts().filter(p => !postId || p.id === postId);
+  const rows = getExportRows().filter(row => !postId || row.postId === postId);
+  threadStats = computeThreadStats(rows, posts);
+
+  renderThreadStats(threadStats);
+  drawBarChart('analytics-timeline', threadStats.timeline.map(b => ({ label: formatDate(b.start, selectedDateFormat), value: b.count })),
+               `Comments per ${threadStats.timelineUnit}`);
+  drawBarChart('analytics-scores', threadStats.scoreHistogram.map(b => ({ label: b.label, value: b.count })),
+               'Score distribution');
+  drawBarChart('analytics-authors', threadStats.topPosters.map(a => ({ label: a.author, value: a.count })),
+               'Top posters');
+  document.getElementById('download-stats-btn').disabled = false;
+}
+
+// Batch mode: analyse one post or all of them together
+function populateAnalyticsPostSelect() {
+  const select = document.getElementById('analytics-post-select');
+  select.innerHTML = '<option value="">All posts</option>' + batchPosts.map(p =>
+    `<option value="${escapeHtml(p.id)}">${escapeHtml(p.id)}: ${escapeHtml(createSnippet(p.title))}</option>`
+  ).join('');
+  select.classList.toggle('hidden', !isBatchMode);
+}
+
+/**
+ * Summary statistics for a set of comment rows and the posts they belong to.
+ * Depth is the row level (top-level comments are 1). Latencies are in seconds.
+ */
+function computeThreadStats(rows, posts) {
+  const postsById = new Map(posts.map(p => [p.id, p]));
+  const postFor = row => postsById.get(row.postId) || posts[0] || {};
+  const byNumbering = new Map(rows.map(row => [`${row.postId}|${row.numbering}`, row]));
+
+  const depths = rows.map(row => row.level);
+  const replyCounts = new Map();
+  const replyLatencies = [];
+  rows.forEach(row => {
+    const parent = byNumbering.get(`${row.postId}|${parentNumbering(row.numbering)}`);
+    if (!parent) return;
+    replyCounts.set(parent, (replyCounts.get(parent) || 0) + 1);
+    if (row.dateUtc && parent.dateUtc) replyLatencies.push(row.dateUtc - parent.dateUtc);
+  });
+
+  const postLatencies = rows
+    .filter(row => row.dateUtc && postFor(row).dateUtc)
+    .map(row => row.dateUtc - postFor(row).dateUtc);
+
+  // Comments per author; deleted accounts are not one person and are left out
+  const authorCounts = new Map();
+  rows.forEach(row => {
+    if (!row.author || DELETED_AUTHORS.includes(row.author)) return;
+    authorCounts.set(row.author, (authorCounts.get(row.author) || 0) + 1);
+  });
+  const perAuthor = [...authorCounts.values()];
+
+  const opRows = rows.filter(isOpRow);
+  const scores = rows.map(row => row.score).filter(Number.isFinite);
+  const withReplies = [...replyCounts.values()];
+
+  return {
+    posts: posts.length,
+    reportedComments: posts.reduce((sum, p) => sum + (p.numComments || 0), 0),
+    fetchedComments: rows.length,
+    deletedComments: rows.filter(row => DELETED_BODIES.includes(row.body) || !row.body).length,
+    topLevelComments: rows.filter(row => row.level === 1).length,
+    maxDepth: depths.length ? maxOf(depths) : 0,
+    meanDepth: mean(depths),
+    branchingFactor: mean(withReplies),
+    uniqueAuthors: authorCounts.size,
+    giniComments: gini(perAuthor),
+    topPosters: [...authorCounts]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, 10)
+      .map(([author, count]) => ({ author, count })),
+    opComments: opRows.length,
+    opShare: rows.length ? opRows.length / rows.length : null,
+    scoreMin: minOf(scores),
+    scoreMedian: median(scores),
+    scoreMean: mean(scores),
+    scoreMax: maxOf(scores),
+    scoreHistogram: scoreHistogram(scores),
+    firstCommentLatency: minOf(postLatencies),
+    medianPostLatency: median(postLatencies),
+    medianReplyLatency: median(replyLatencies),
+    ...commentTimeline(rows.map(row => row.dateUtc).filter(Boolean))
+  };
+}
+
+// Math.min(...values) runs out of call stack on very large threads
+function minOf(values) {
+  return values.length ? values.reduce((a, b) => (b < a ? b : a)) : null;
+}
+
+function maxOf(values) {
+  return values.length ? values.reduce((a, b) => (b > a ? b : a)) : null;
+}
+
+function mean(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// 0 = every author wrote the same number of comments, towards 1 = a few authors wrote most
+function gini(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const n = sorted.length;
+  const total = sorted.reduce((a, b) => a + b, 0);
+  if (!n || !total) return null;
+  const weighted = sorted.reduce((sum, x, i) => sum + (i + 1) * x, 0);
+  return (2 * weighted) / (n * total) - (n + 1) / n;
+}
+
+// Up to ten equal-width integer bins between the lowest and highest score
+function scoreHistogram(scores) {
+  if (!scores.length) return [];
+  const min = minOf(scores);
+  const max = maxOf(scores);
+  const width = Math.max(1, Math.ceil((max - min + 1) / 10));
+  const bins = [];
+  for (let from = min; from <= max; from += width) {
+    const to = from + width - 1;
+    bins.push({ from, to, label: width === 1 ? String(from) : `${from} to ${to}`, count: 0 });
+  }
+  scores.forEach(score => bins[Math.floor((score - min) / width)].count++);
+  return bins;
+}
+
+// Hourly bins for threads spanning up to two days, daily up to two months, weekly beyond
+function commentTimeline(timestamps) {
+  if (!timestamps.length) return { timeline: [], timelineUnit: 'hour' };
+  const first = minOf(timestamps);
+  const span = maxOf(timestamps) - first;
+  const [unit, size] = span <= 2 * 86400 ? ['hour', 3600]
+                     : span <= 60 * 86400 ? ['day', 86400]
+                     : ['week', 7 * 86400];
+  const start = Math.floor(first / size) * size;
+  const timeline = [];
+  for (let t = start; t <= first + span; t += size) timeline.push({ start: t, count: 0 });
+  timestamps.forEach(ts => timeline[Math.floor((ts - start) / size)].count++);
+  return { timeline, timelineUnit: unit };
+}
+
+// 90 => "1m 30s", 7200 => "2h 0m", 200000 => "2d 7h"
+function formatDuration(seconds) {
+  if (seconds === null || seconds === undefined) return '';
+  const s = Math.round(Math.abs(seconds));
+  const sign = seconds < 0 ? '-' : '';
+  if (s < 60) return `${sign}${s}s`;
+  if (s < 3600) return `${sign}${Math.floor(s / 60)}m ${s % 60}s`;
+  if (s < 86400) return `${sign}${Math.floor(s / 3600)}h ${Math.floor(s % 3600 / 60)}m`;
+  return `${sign}${Math.floor(s / 86400)}d ${Math.floor(s % 86400 / 3600)}h`;
+}
+
+// [label, value] pairs shown in the summary table and written to the CSV
+function describeThreadStats(stats) {
+  const round = (x, digits = 2) => x === null ? '' : Number(x.toFixed(digits));
+  const percent = x => x === null ? '' : `${(x * 100).toFixed(1)}%`;
+  return [
+    ['Posts', stats.posts],
+    ['Comments reported by Reddit', stats.reportedComments],
+    ['Comments in table', stats.fetchedComments],
+    ['Deleted/removed comments', stats.deletedComments],
+    ['Top-level comments', stats.topLevelComments],
+    ['Max depth', stats.maxDepth],
+    ['Mean depth', round(stats.meanDepth)],
+    ['Branching factor (mean replies per replied-to comment)', round(stats.branchingFactor)],
+    ['Unique authors', stats.uniqueAuthors],
+    ['Gini coefficient of comments per author', round(stats.giniComments, 3)],
+    ['OP comments', stats.opComments],
+    ['OP share of comments', percent(stats.opShare)],
+    ['Score min', stats.scoreMin ?? ''],
+    ['Score median', stats.scoreMedian ?? ''],
+    ['Score mean', round(stats.scoreMean)],
+    ['Score max', stats.scoreMax ?? ''],
+    ['First comment after post', formatDuration(stats.firstCommentLatency)],
+    ['Median time from post to comment', formatDuration(stats.medianPostLatency)],
+    ['Median time from parent to reply', formatDuration(stats.medianReplyLatency)]
+  ];
+}
+
+function renderThreadStats(stats) {
+  document.getElementById('analytics-summary').innerHTML = `
+    <table class="table table-condensed" style="max-width:600px;">
+      <tbody>
+        ${describeThreadStats(stats).map(([label, value]) =>
+          `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(String(value))}</td></tr>`).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+// Vertical bar chart; labels are thinned out when there are many bars
+function drawBarChart(containerId, bars, title) {
+  const container = document.getElementById(containerId);
+  container.innerHTML = '';
+  if (!bars.length) return;
+
+  const margin = { top: 25, right: 10, bottom: 70, left: 40 };
+  const width = Math.max(container.clientWidth || 600, 300);
+  const height = 240;
+
+  const svg = d3.select(container).append('svg')
+    .attr('width', width)
+    .attr('height', height);
+
+  svg.append('text')
+    .attr('x', margin.left)
+    .attr('y', 15)
+    .style('font-weight', 'bold')
+    .style('font-size', '12px')
+    .text(title);
+
+  const x = d3.scaleBand()
+    .domain(bars.map((_, i) => i))
+    .range([margin.left, width - margin.right])
+    .padding(0.1);
+  const y = d3.scaleLinear()
+    .domain([0, d3.max(bars, b => b.value)]).nice()
+    .range([height - margin.bottom, margin.top]);
+
+  svg.append('g')
+    .selectAll('rect')
+    .data(bars)
+    .join('rect')
+    .attr('x', (_, i) => x(i))
+    .attr('y', b => y(b.value))
+    .attr('width', x.bandwidth())
+    .attr('height', b => y(0) - y(b.value))
+    .attr('fill', '#4682B4')
+    .append('title')
+    .text(b => `${b.label}: ${b.value}`);
+
+  const every = Math.ceil(bars.length / 20);
+  svg.append('g')
+    .attr('transform', `translate(0,${height - margin.bottom})`)
+    .call(d3.axisBottom(x).tickFormat(i => i % every ? '' : truncateLabel(bars[i].label)))
+    .selectAll('text')
+    .attr('text-anchor', 'end')
+    .attr('transform', 'rotate(-40)');
+
+  svg.append('g')
+    .attr('transform', `translate(${margin.left},0)`)
+    .call(d3.axisLeft(y).ticks(5).tickFormat(d3.format('d')));
+}
+
+function truncateLabel(label) {
+  return label.length > 20 ? label.slice(0, 20) + '…' : label;
+}
+
+function downloadStatsCSV() {
+  if (!threadStats) return;
+  const rows = [
+    ...describeThreadStats(threadStats).map(([label, value]) => ['summary', label, value]),
+    ...threadStats.topPosters.map(a => ['top_posters', a.author, a.count]),
+    ...threadStats.scoreHistogram.map(b => ['score_distribution', b.label, b.count]),
+    ...threadStats.timeline.map(b => [`comments_per_${threadStats.timelineUnit}`, formatDate(b.start, selectedDateFormat), b.count])
+  ];
+  const dialect = readCsvDialect();
+  downloadCsvText(buildCsv(['Section', 'Metric', 'Value'], rows, dialect), dialect, 'stats');
 }
 
 
@@ -523,14 +3807,261 @@ function initVisualization() {
   const vizContainer = document.getElementById('viz-container');
   vizContainer.innerHTML = '';
 
-  // 1. Build a dictionary from tableData
-  const dict = buildNodeDictionary(tableData);
+  // 1. Build a dictionary from tableData (one post at a time in batch mode)
+  const postId = document.getElementById('viz-post-select').value;
+  const rows = getOutputRows(isBatchMode ? tableData.filter(row => row.postId === postId) : tableData);
+  const dict = buildNodeDictionary(rows);
+  vizRows = new Map(rows.map(row => [row.numbering, row]));
+  vizFocusNode = null;
+  document.getElementById('viz-comment-detail').innerHTML = '';
 
   // 2. Convert dict => final root hierarchy
   const root = buildHierarchyFromDict(dict);
 
-  // 3. Pass it to D3
-  createCollapsibleTree(root, 'viz-container');
+  // 3. Pass it to D3 in the chosen layout and colouring
+  const color = buildNodeColor(root, document.getElementById('viz-color').value);
+  const post = isBatchMode ? batchPosts.find(p => p.id === postId) : postInfo;
+  switch (document.getElementById('viz-layout').value) {
+    case 'radial':
+      createRadialTree(root, 'viz-container', color);
+      break;
+    case 'icicle':
+      createIcicle(root, 'viz-container', color);
+      break;
+    case 'sunburst':
+      createSunburst(root, 'viz-container', color);
+      break;
+    case 'timeline':
+      createTimeline(root, 'viz-container', color, post && post.dateUtc);
+      break;
+    default:
+      createCollapsibleTree(root, 'viz-container', color);
+  }
+  renderVizLegend(color.legend);
+  vizLegend = color.legend;
+  vizTitle = post ? post.title : '';
+  highlightVizSearchHits();
+}
+
+// =========================
+// VISUALIZATION <-> TABLE LINKING
+// =========================
+// Node shapes in every layout carry the class "viz-node" and a D3 hierarchy
+// datum whose data.id is the comment numbering ("2.1.1"; the post has none).
+
+let vizRows = new Map();  // numbering => output row of the drawn post
+let vizFocusNode = null;  // set by the collapsible tree: expands the path to a comment and centres it
+
+// Node click in any layout: show the comment and scroll the table to it
+function selectVizNode(node) {
+  const row = vizRows.get(node.id);
+  if (!row) return;
+  d3.selectAll('#viz-container .viz-node').classed('viz-selected', d => d.data.id === node.id);
+  showVizComment(row);
+  scrollTableToRow(row);
+}
+
+function showVizComment(row) {
+  document.getElementById('viz-comment-detail').innerHTML = `
+    <div class="reader-meta">
+      <strong>${escapeHtml(row.numbering)}</strong>
+      ${escapeHtml(row.author)}${opBadge(row)} · ${row.score} points · ${escapeHtml(formatDate(row.dateUtc, selectedDateFormat))}
+    </div>
+    <div class="md">${row.body ? renderMarkdown(row.body) : '[deleted]'}</div>
+  `;
+}
+
+// Scrolls inside the table box only, so the page stays on the visualization
+function scrollTableToRow(row) {
+  const wrapper = document.getElementById('table-wrapper');
+  linkedRowKey = `${row.postId || ''}|${row.numbering}`;
+  if (tableView) {
+    const index = tableView.rows.findIndex(r => r.postId === row.postId && r.numbering === row.numbering);
+    if (index >= 0) scrollTableWindowTo(index);
+  }
+  const tr = wrapper.querySelector(
+    `tr[data-post-id="${CSS.escape(row.postId || '')}"][data-numbering="${CSS.escape(row.numbering)}"]`);
+  wrapper.querySelectorAll('tr.linked-row').forEach(el => el.classList.remove('linked-row'));
+  if (!tr) return; // filtered out of the table
+  tr.classList.add('linked-row');
+  wrapper.scrollTop += tr.getBoundingClientRect().top - wrapper.getBoundingClientRect().top
+                     - wrapper.clientHeight / 2;
+}
+
+// Table "Tree" button: draw the post as a collapsible tree if needed, then expand to the comment
+function showInTree(postId, numbering) {
+  const postSelect = document.getElementById('viz-post-select');
+  const layoutSelect = document.getElementById('viz-layout');
+  const drawn = document.querySelector('#viz-container svg');
+  if (!drawn || !vizFocusNode || layoutSelect.value !== 'tree' || (isBatchMode && postSelect.value !== postId)) {
+    if (isBatchMode) postSelect.value = postId;
+    layoutSelect.value = 'tree';
+    initVisualization();
+  }
+  document.getElementById('visualization-panel').scrollIntoView({ behavior: 'smooth' });
+  vizFocusNode(numbering);
+  const row = vizRows.get(numbering);
+  if (row) showVizComment(row);
+}
+
+function isVizSearchHit(node) {
+  const row = vizRows.get(node.id);
+  if (!searchMatcher || !row) return false;
+  searchMatcher.lastIndex = 0;
+  return searchMatcher.test(row.body);
+}
+
+// Outline nodes whose body matches the search box
+function highlightVizSearchHits() {
+  if (typeof d3 === 'undefined') return;
+  d3.selectAll('#viz-container .viz-node').classed('viz-search-hit', d => isVizSearchHit(d.data));
+}
+
+// =========================
+// DOWNLOAD VISUALIZATION (SVG / PNG)
+// =========================
+// The export covers the whole drawing at its current expand/collapse state,
+// not only the part visible in the zoomed/panned viewport.
+
+let vizLegend = [];  // legend of the last rendered visualization
+let vizTitle = '';   // post title of the last rendered visualization
+
+const VIZ_EXPORT_PADDING = 20;
+const MAX_CANVAS_SIDE = 16384; // larger canvases fail silently in most browsers
+
+// Presentation properties copied from the live drawing, so the file looks the same without the page CSS
+const INLINED_STYLES = [
+  'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'opacity',
+  'font-family', 'font-size', 'font-weight', 'text-anchor', 'dominant-baseline'
+];
+
+function downloadVizSVG() {
+  const svg = buildVizExportSvg();
+  if (!svg) return;
+  const source = new XMLSerializer().serializeToString(svg);
+  triggerDownload(new Blob([source], { type: 'image/svg+xml;charset=utf-8' }), 'reddit_thread_visualization.svg');
+}
+
+function downloadVizPNG() {
+  const svg = buildVizExportSvg();
+  if (!svg) return;
+  const width = +svg.getAttribute('width');
+  const height = +svg.getAttribute('height');
+  const requested = parseFloat(document.getElementById('viz-png-scale').value) || 1;
+  const scale = Math.min(requested, MAX_CANVAS_SIDE / Math.max(width, height));
+
+  const url = URL.createObjectURL(new Blob([new XMLSerializer().serializeToString(svg)], { type: 'image/svg+xml;charset=utf-8' }));
+  const img = new Image();
+  img.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+    ctx.drawImage(img, 0, 0, width, height);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(blob => triggerDownload(blob, 'reddit_thread_visualization.png'), 'image/png');
+  };
+  img.onerror = () => {
+    URL.revokeObjectURL(url);
+    alert('The visualization could not be converted to PNG. Try downloading it as SVG instead.');
+  };
+  img.src = url;
+}
+
+/**
+ * Standalone copy of the rendered SVG: zoom reset, cropped to the whole
+ * drawing, styles inlined, optionally with the post title and the legend.
+ */
+function buildVizExportSvg() {
+  const live = document.querySelector('#viz-container svg');
+  if (!live) {
+    alert('Please render the visualization first.');
+    return null;
+  }
+  const withTitle = document.getElementById('viz-export-title').checked && vizTitle;
+  const withLegend = document.getElementById('viz-export-legend').checked && vizLegend.length;
+
+  const content = live.querySelector(':scope > g');
+  const box = content.getBBox();
+  const titleHeight = withTitle ? 30 : 0;
+  const legendHeight = withLegend ? 25 : 0;
+  const width = Math.ceil(box.width + 2 * VIZ_EXPORT_PADDING);
+  const height = Math.ceil(box.height + 2 * VIZ_EXPORT_PADDING + titleHeight + legendHeight);
+
+  const svg = live.cloneNode(true);
+  inlineSvgStyles(live, svg);
+  svg.setAttribute('width', width);
+  svg.setAttribute('height', height);
+  svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+  // Undo zoom/pan and move the drawing's bounding box into view
+  svg.querySelector(':scope > g').setAttribute('transform',
+    `translate(${VIZ_EXPORT_PADDING - box.x},${VIZ_EXPORT_PADDING + titleHeight - box.y})`);
+
+  const ns = 'http://www.w3.org/2000/svg';
+  const background = document.createElementNS(ns, 'rect');
+  background.setAttribute('width', width);
+  background.setAttribute('height', height);
+  background.setAttribute('fill', '#fff');
+  svg.insertBefore(background, svg.firstChild);
+
+  if (withTitle) {
+    const title = document.createElementNS(ns, 'text');
+    title.setAttribute('x', VIZ_EXPORT_PADDING);
+    title.setAttribute('y', VIZ_EXPORT_PADDING + 10);
+    title.setAttribute('style', 'font: bold 16px sans-serif; fill: #333;');
+    title.textContent = vizTitle;
+    svg.appendChild(title);
+  }
+
+  if (withLegend) {
+    const legend = document.createElementNS(ns, 'g');
+    legend.setAttribute('transform', `translate(${VIZ_EXPORT_PADDING},${height - VIZ_EXPORT_PADDING - 10})`);
+    let x = 0;
+    vizLegend.forEach(item => {
+      const swatch = document.createElementNS(ns, 'rect');
+      swatch.setAttribute('x', x);
+      swatch.setAttribute('y', -10);
+      swatch.setAttribute('width', 12);
+      swatch.setAttribute('height', 12);
+      swatch.setAttribute('fill', item.color);
+      swatch.setAttribute('stroke', '#999');
+      const label = document.createElementNS(ns, 'text');
+      label.setAttribute('x', x + 16);
+      label.setAttribute('style', 'font: 12px sans-serif; fill: #333;');
+      label.textContent = item.label;
+      legend.append(swatch, label);
+      x += 16 + 7 * String(item.label).length + 16; // rough text width
+    });
+    svg.appendChild(legend);
+  }
+
+  return svg;
+}
+
+// Copy computed presentation styles from each live element to its clone
+function inlineSvgStyles(source, target) {
+  const sourceNodes = [source, ...source.querySelectorAll('*')];
+  const targetNodes = [target, ...target.querySelectorAll('*')];
+  sourceNodes.forEach((node, i) => {
+    const computed = window.getComputedStyle(node);
+    const style = INLINED_STYLES
+      .map(prop => [prop, computed.getPropertyValue(prop)])
+      .filter(([, value]) => value)
+      .map(([prop, value]) => `${prop}:${value}`)
+      .join(';');
+    if (style) targetNodes[i].setAttribute('style', style);
+  });
+}
+
+// Batch mode: let the user pick which post to draw
+function populateVizPostSelect() {
+  const select = document.getElementById('viz-post-select');
+  select.innerHTML = batchPosts.map(p =>
+    `<option value="${escapeHtml(p.id)}">${escapeHtml(p.id)}: ${escapeHtml(createSnippet(p.title))}</option>`
+  ).join('');
+  select.classList.toggle('hidden', !isBatchMode);
 }
 
 /**
@@ -551,6 +4082,10 @@ function buildNodeDictionary(data) {
       id: fullNum,
       parentId,
       score: row.score,
+      author: row.author,
+      isOp: isOpRow(row),
+      dateUtc: row.dateUtc,
+      level: row.level,
       // short snippet
       bodySnippet: createSnippet(row.body),
       fullNumbering: fullNum
@@ -609,26 +4144,252 @@ function computeCounts(node) {
   return sum;
 }
 
+/**
+ * Node colouring for every layout: fill(node) returns a colour, or null for
+ * the layout's default, and legend lists what the colours mean.
+ */
+function buildNodeColor(data, mode) {
+  const nodes = d3.hierarchy(data).descendants().slice(1).map(d => d.data);
+
+  if (mode === 'score') {
+    const max = d3.max(nodes, n => Number.isFinite(n.score) ? Math.abs(n.score) : 0) || 1;
+    const scale = d3.scaleDivergingSymlog(d3.interpolateRdYlGn).domain([-max, 0, max]);
+    return {
+      fill: n => Number.isFinite(n.score) ? scale(n.score) : null,
+      legend: [-max, 0, max].map(v => ({ label: `Score ${v > 0 ? '+' : ''}${v}`, color: scale(v) }))
+    };
+  }
+
+  if (mode === 'author') {
+    // The ten most active authors get their own colour, everyone else grey
+    const counts = d3.rollups(nodes.filter(n => !DELETED_AUTHORS.includes(n.author)), v => v.length, n => n.author)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 10);
+    const scale = d3.scaleOrdinal(counts.map(c => c[0]), d3.schemeTableau10);
+    const known = new Set(counts.map(c => c[0]));
+    return {
+      fill: n => n.author === undefined ? null : known.has(n.author) ? scale(n.author) : '#ccc',
+      legend: [...counts.map(([author]) => ({ label: author, color: scale(author) })), { label: 'Other', color: '#ccc' }]
+    };
+  }
+
+  if (mode === 'depth') {
+    const maxDepth = d3.max(nodes, n => n.level) || 1;
+    const scale = d3.scaleSequential(d3.interpolateBlues).domain([0, maxDepth + 1]);
+    return {
+      fill: n => n.level ? scale(n.level) : null,
+      legend: [1, maxDepth].map(level => ({ label: `Depth ${level}`, color: scale(level) }))
+    };
+  }
+
+  return { fill: () => null, legend: [] };
+}
+
+function renderVizLegend(legend) {
+  document.getElementById('viz-legend').innerHTML = legend.map(item =>
+    `<span style="margin-right:12px; white-space:nowrap;">`
+    + `<span style="display:inline-block; width:12px; height:12px; background:${item.color}; border:1px solid #999;"></span> `
+    + `${escapeHtml(String(item.label))}</span>`
+  ).join('');
+}
+
+/** Hover text for a node in any layout */
+function vizTooltip(node) {
+  if (!node.fullNumbering) return 'Post';
+  return `${node.fullNumbering} · ${node.author}${node.isOp ? ' (OP)' : ''} · Score: ${node.score}\n${node.bodySnippet}`;
+}
+
+/** SVG filling the container, with everything drawn into a zoomable/pannable group */
+function createZoomableSvg(containerId) {
+  const container = document.getElementById(containerId);
+  const width = container.clientWidth || 1000;
+  const height = container.clientHeight || 700;
+
+  const svg = d3.select(container).append("svg")
+    .attr("width", width)
+    .attr("height", height);
+  const zoomLayer = svg.append("g");
+  svg.call(
+    d3.zoom()
+      .scaleExtent([0.5, 8])
+      .on("zoom", (event) => {
+        zoomLayer.attr("transform", event.transform);
+      })
+  );
+
+  return { svg, g: zoomLayer.append("g"), width, height };
+}
+
+/** Hierarchy whose node values are the descendant counts from computeCounts */
+function hierarchyByCount(data) {
+  return d3.hierarchy(data)
+    .sum(d => (d.children && d.children.length) ? 0 : 1)
+    .sort((a, b) => b.value - a.value);
+}
+
+/** Fully expanded tree drawn around the post in the centre */
+function createRadialTree(data, containerId, color) {
+  const { g, width, height } = createZoomableSvg(containerId);
+  const radius = Math.min(width, height) / 2 - 20;
+  g.attr("transform", `translate(${width / 2},${height / 2})`);
+
+  const root = d3.tree()
+    .size([2 * Math.PI, radius])
+    .separation((a, b) => (a.parent === b.parent ? 1 : 2) / a.depth)(d3.hierarchy(data));
+
+  g.append("g")
+    .attr("fill", "none")
+    .attr("stroke", "#ccc")
+    .attr("stroke-width", 1)
+    .selectAll("path")
+    .data(root.links())
+    .join("path")
+    .attr("d", d3.linkRadial().angle(d => d.x).radius(d => d.y));
+
+  g.append("g")
+    .selectAll("circle")
+    .data(root.descendants())
+    .join("circle")
+    .attr("class", "viz-node")
+    .attr("transform", d => `rotate(${d.x * 180 / Math.PI - 90}) translate(${d.y},0)`)
+    .attr("r", d => d.depth ? 3 : 6)
+    .on("click", (event, d) => selectVizNode(d.data))
+    .attr("fill", d => color.fill(d.data) || (d.depth ? "#4682B4" : "#333"))
+    .attr("stroke", "#555")
+    .attr("stroke-width", 0.5)
+    .append("title")
+    .text(d => vizTooltip(d.data));
+}
+
+/** Left-to-right icicle: one column per depth, heights sized by descendant count */
+function createIcicle(data, containerId, color) {
+  const { g, width, height } = createZoomableSvg(containerId);
+  const root = d3.partition().size([height, width])(hierarchyByCount(data));
+
+  const cell = g.selectAll("g")
+    .data(root.descendants())
+    .join("g")
+    .attr("transform", d => `translate(${d.y0},${d.x0})`);
+
+  cell.append("rect")
+    .attr("class", "viz-node")
+    .on("click", (event, d) => selectVizNode(d.data))
+    .attr("width", d => d.y1 - d.y0 - 1)
+    .attr("height", d => Math.max(d.x1 - d.x0 - 1, 0.5))
+    .attr("fill", d => color.fill(d.data) || (d.depth ? "#9ecae1" : "#ddd"));
+
+  cell.filter(d => d.x1 - d.x0 > 14)
+    .append("text")
+    .attr("x", 4)
+    .attr("y", 12)
+    .style("font", "10px sans-serif")
+    .text(d => d.data.fullNumbering ? `${d.data.fullNumbering} (${d.value})` : `Post (${d.value})`);
+
+  cell.append("title")
+    .text(d => vizTooltip(d.data));
+}
+
+/** Rings around the post, one per depth, arcs sized by descendant count */
+function createSunburst(data, containerId, color) {
+  const { g, width, height } = createZoomableSvg(containerId);
+  const radius = Math.min(width, height) / 2 - 10;
+  g.attr("transform", `translate(${width / 2},${height / 2})`);
+
+  const root = d3.partition().size([2 * Math.PI, radius])(hierarchyByCount(data));
+  const arc = d3.arc()
+    .startAngle(d => d.x0)
+    .endAngle(d => d.x1)
+    .innerRadius(d => d.y0)
+    .outerRadius(d => d.y1 - 1)
+    .padAngle(0.002);
+
+  g.selectAll("path")
+    .data(root.descendants().filter(d => d.depth))
+    .join("path")
+    .attr("class", "viz-node")
+    .on("click", (event, d) => selectVizNode(d.data))
+    .attr("d", arc)
+    .attr("fill", d => color.fill(d.data) || "#9ecae1")
+    .attr("stroke", "#fff")
+    .attr("stroke-width", 0.5)
+    .append("title")
+    .text(d => vizTooltip(d.data));
+}
+
+/** Comments placed by time (x) and depth (y), with lines from each reply to its parent */
+function createTimeline(data, containerId, color, postDate) {
+  const { g, width, height } = createZoomableSvg(containerId);
+  const margin = { top: 20, right: 30, bottom: 40, left: 70 };
+  const timeOf = d => d.depth ? d.data.dateUtc : postDate;
+
+  const nodes = d3.hierarchy(data).descendants().filter(d => timeOf(d));
+  if (!nodes.length) return;
+  const maxDepth = d3.max(nodes, d => d.depth);
+
+  const x = d3.scaleUtc()
+    .domain(d3.extent(nodes, d => new Date(timeOf(d) * 1000)))
+    .range([margin.left, width - margin.right]);
+  const y = d3.scalePoint()
+    .domain(d3.range(0, maxDepth + 1))
+    .range([margin.top, height - margin.bottom])
+    .padding(0.5);
+  const pos = d => [x(new Date(timeOf(d) * 1000)), y(d.depth)];
+
+  g.append("g")
+    .attr("transform", `translate(0,${height - margin.bottom})`)
+    .call(d3.axisBottom(x).ticks(8));
+  g.append("g")
+    .attr("transform", `translate(${margin.left},0)`)
+    .call(d3.axisLeft(y).tickFormat(depth => depth ? `Depth ${depth}` : "Post"));
+
+  g.append("g")
+    .attr("stroke", "#ddd")
+    .selectAll("line")
+    .data(nodes.filter(d => d.parent && timeOf(d.parent)))
+    .join("line")
+    .attr("x1", d => pos(d.parent)[0])
+    .attr("y1", d => pos(d.parent)[1])
+    .attr("x2", d => pos(d)[0])
+    .attr("y2", d => pos(d)[1]);
+
+  g.append("g")
+    .selectAll("circle")
+    .data(nodes)
+    .join("circle")
+    .attr("class", "viz-node")
+    .on("click", (event, d) => selectVizNode(d.data))
+    .attr("cx", d => pos(d)[0])
+    .attr("cy", d => pos(d)[1])
+    .attr("r", d => d.depth ? 4 : 6)
+    .attr("fill", d => color.fill(d.data) || (d.depth ? "#4682B4" : "#333"))
+    .attr("fill-opacity", 0.8)
+    .attr("stroke", "#555")
+    .attr("stroke-width", 0.5)
+    .append("title")
+    .text(d => vizTooltip(d.data));
+}
+
+const VIZ_TREE_EXPAND_LIMIT = 200; // top-level comments above which the tree starts fully collapsed
+
 /**
  * D3-based collapsible tree with rectangular nodes.
  * Left-to-right orientation, zoom & pan enabled.
  */
-function createCollapsibleTree(data, containerId) {
+function createCollapsibleTree(data, containerId, color) {
   const margin = { top: 20, right: 50, bottom: 20, left: 50 };
   const width = 1000 - margin.left - margin.right;
   const height = 700 - margin.top - margin.bottom;
 
   // Create main SVG with zoom/pan
+  const zoom = d3.zoom()
+    .scaleExtent([0.5, 5])
+    .on("zoom", (event) => {
+      g.attr("transform", event.transform);
+    });
   const svg = d3.select(`#${containerId}`).append("svg")
     .attr("width", width + margin.left + margin.right)
     .attr("height", height + margin.top + margin.bottom)
-    .call(
-      d3.zoom()
-        .scaleExtent([0.5, 5])
-        .on("zoom", (event) => {
-          g.attr("transform", event.transform);
-        })
-    );
+    .call(zoom);
 
   const g = svg.append("g")
     .attr("transform", `translate(${margin.left},${margin.top})`);
@@ -637,29 +4398,64 @@ function createCollapsibleTree(data, containerId) {
     .size([height, width])
     .separation((a, b) => 1.5); // extra vertical gap
 
-  let root = d3.hierarchy(data, d => d.children);
+  // Hierarchy nodes are only created when a comment is first expanded, so
+  // layout and updates touch just the visible part of a large thread
+  let root = d3.hierarchy(data, d => d === data ? d.children : null);
   root.x0 = height / 2;
   root.y0 = 0;
 
-  // Initially collapse all except top-level
-  if (root.children) {
-    root.children.forEach(c => collapseDeep(c, 0));
-  }
+  // Initially show the top-level comments, and their direct replies unless there are many
+  if (root.children && root.children.length <= VIZ_TREE_EXPAND_LIMIT) root.children.forEach(expand);
 
   update(root);
+  vizFocusNode = focusNode;
 
-  function collapseDeep(d, depth=0) {
+  // Expand every collapsed ancestor of a comment, then pan it to the centre
+  function focusNode(numbering) {
+    let node = root;
+    const parts = numbering.split('.');
+    for (let i = 1; i <= parts.length && node; i++) {
+      expand(node);
+      const id = parts.slice(0, i).join('.');
+      node = (node.children || []).find(c => c.data.id === id);
+    }
+    update(root);
+    if (!node) return;
+    d3.selectAll(`#${containerId} .viz-node`).classed('viz-selected', d => d === node);
+    svg.transition()
+      .duration(500)
+      .call(zoom.transform, d3.zoomIdentity.translate(
+        (width + margin.left + margin.right) / 2 - node.y - 70,
+        (height + margin.top + margin.bottom) / 2 - node.x
+      ));
+  }
+
+  function expand(d) {
+    if (d._children) {
+      d.children = d._children;
+      d._children = null;
+    } else if (!d.children && d.data.children && d.data.children.length) {
+      d.children = d.data.children.map(child => {
+        const node = d3.hierarchy(child, () => null);
+        node.parent = d;
+        node.depth = d.depth + 1;
+        return node;
+      });
+    }
+  }
+
+  function collapse(d) {
     if (d.children) {
-      if (depth > 0) {
-        d._children = d.children;
-        d._children.forEach(c => collapseDeep(c, depth+1));
-        d.children = null;
-      } else {
-        d.children.forEach(c => collapseDeep(c, depth+1));
-      }
+      d._children = d.children;
+      d.children = null;
     }
   }
 
+  // Replies not currently drawn
+  function hiddenCount(d) {
+    return d.children ? 0 : (d.data.children || []).length;
+  }
+
   function update(source) {
     const treeData = treeLayout(root);
     const nodes = treeData.descendants();
@@ -671,21 +4467,18 @@ function createCollapsibleTree(data, containerId) {
     });
 
     // NODES
+    // Keyed by comment numbering, so the same comment keeps its element across updates
     let nodeSel = g.selectAll("g.node")
-      .data(nodes, d => d.id || (d.id = Math.random()));
+      .data(nodes, d => d.data.id || 'post');
 
     let nodeEnter = nodeSel.enter().append("g")
       .attr("class", "node")
       .attr("transform", _ => `translate(${source.y0},${source.x0})`)
       .on("click", (event, d) => {
-        if (d.children) {
-          d._children = d.children;
-          d.children = null;
-        } else {
-          d.children = d._children;
-          d._children = null;
-        }
+        if (d.children) collapse(d);
+        else expand(d);
         update(d);
+        selectVizNode(d.data);
       });
 
     // Rect parameters
@@ -694,11 +4487,13 @@ function createCollapsibleTree(data, containerId) {
 
     // Node rectangle
     nodeEnter.append("rect")
+      .attr("class", "viz-node")
       .attr("x", 0)
       .attr("y", -rectHeight / 2)
       .attr("width", 1e-6)
       .attr("height", rectHeight)
-      .attr("fill", "#fff")
+      .attr("fill", d => (color && color.fill(d.data)) || "#fff")
+      .attr("fill-opacity", d => (color && color.fill(d.data)) ? 0.6 : 1)
       .attr("stroke", "#999");
 
     // First text line => numbering
@@ -711,18 +4506,12 @@ function createCollapsibleTree(data, containerId) {
 
     // Second line => Score (+hidden children)
     nodeEnter.append("text")
+      .attr("class", "score-line")
       .attr("dy", "1.2em")
       .attr("x", 6)
       .style("font", "12px sans-serif")
       .style("fill", "#666")
-      .style("fill-opacity", 1e-6)
-      .text(d => {
-        let scoreLine = `Score: ${d.data.score}`;
-        if (d._children && d._children.length > 0) {
-          scoreLine += ` (+${d._children.length} hidden)`;
-        }
-        return scoreLine;
-      });
+      .style("fill-opacity", 1e-6);
 
     // Tooltip with snippet
     nodeEnter.append("title")
@@ -738,6 +4527,9 @@ function createCollapsibleTree(data, containerId) {
     nodeUpdate.select("rect")
       .attr("width", rectWidth);
 
+    nodeUpdate.select("text.score-line")
+      .text(d => `Score: ${d.data.score}` + (hiddenCount(d) ? ` (+${hiddenCount(d)} hidden)` : ''));
+
     nodeUpdate.selectAll("text")
       .style("fill-opacity", 1);
 
@@ -752,7 +4544,7 @@ function createCollapsibleTree(data, containerId) {
 
     // LINKS
     let linkSel = g.selectAll("path.link")
-      .data(links, d => d.target.id);
+      .data(links, d => d.target.data.id);
 
     let linkEnter = linkSel.enter().insert("path", "g")
       .attr("class", "link")
@@ -782,6 +4574,7 @@ function createCollapsibleTree(data, containerId) {
       d.x0 = d.x;
       d.y0 = d.y;
     });
+    highlightVizSearchHits();
   }
 
   function diagonal(s, t) {
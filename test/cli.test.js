@@ -0,0 +1,78 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs, main } = require('../cli.js');
+const { fixturePath, assertGolden } = require('./helpers/golden.js');
+
+describe('cli', () => {
+  let out;
+  let log;
+  const quiet = () => {
+    log = { log: console.log, warn: console.warn, error: console.error };
+    console.log = console.warn = console.error = () => {};
+  };
+  const loud = () => Object.assign(console, log);
+
+  before(() => {
+    out = fs.mkdtempSync(path.join(os.tmpdir(), 'reddit-data-tool-'));
+  });
+  after(() => {
+    fs.rmSync(out, { recursive: true, force: true });
+  });
+
+  it('parses options', () => {
+    const opts = parseArgs(['-f', 'both', '--compact', '--depth', '3', '--date-format', 'utc', 'abc12']);
+    assert.strictEqual(opts.format, 'both');
+    assert.strictEqual(opts.compact, true);
+    assert.strictEqual(opts.depth, 3);
+    assert.strictEqual(opts.dateFormat, 'utc');
+    assert.deepStrictEqual(opts.inputs, ['abc12']);
+    assert.strictEqual(opts.expandMore, true);
+    assert.strictEqual(parseArgs(['--no-expand']).expandMore, false);
+    assert.throws(() => parseArgs(['--format', 'xml']), /must be one of/);
+    assert.throws(() => parseArgs(['--depth', '0']), /positive number/);
+    assert.throws(() => parseArgs(['--wat']), /Unknown option/);
+  });
+
+  it('exports a saved thread offline, matching the golden CSV', async () => {
+    quiet();
+    const code = await main(['-o', out, '-f', 'both', fixturePath('edge-cases')]).finally(loud);
+    assert.strictEqual(code, 0);
+    assertGolden('edge-cases.csv', fs.readFileSync(path.join(out, 'gbkmga.csv'), 'utf8'));
+
+    const json = JSON.parse(fs.readFileSync(path.join(out, 'gbkmga.json'), 'utf8'));
+    assert.strictEqual(json.manifest.format, 'flat');
+    assert.strictEqual(json.manifest.commentCount, 11);
+    assert.strictEqual(json.manifest.sources[0].unresolvedMoreCount, 8);
+    assert.strictEqual(json.posts[0].id, 'gbkmga');
+    assert.strictEqual(json.comments.length, 11);
+  });
+
+  it('applies the CSV options', async () => {
+    quiet();
+    await main(['-o', out, '--compact', '--strip-newlines', '--date-format', 'utc', fixturePath('edge-cases')])
+      .finally(loud);
+    assertGolden('edge-cases.compact.csv', fs.readFileSync(path.join(out, 'gbkmga.csv'), 'utf8'));
+  });
+
+  it('writes the CSV dialect and file name asked for', async () => {
+    quiet();
+    await main(['-o', out, '--delimiter', 'semicolon', '--quote', 'minimal', '--filename', '{subreddit}-{postId}',
+      fixturePath('edge-cases')]).finally(loud);
+    assertGolden('edge-cases.semicolon.csv', fs.readFileSync(path.join(out, 'AskHistorians-gbkmga.csv'), 'utf8'));
+
+    quiet();
+    await main(['-o', out, '--delimiter', 'tab', '--crlf', '--bom', fixturePath('no-comments')]).finally(loud);
+    assert.strictEqual(fs.readFileSync(path.join(out, 'kq3z1v.tsv'), 'utf8'),
+      '\uFEFFNumber\tLevel\tBody\tAuthor\tDate(UTC)\tUpvotes\tDownvotes\r\n');
+  });
+
+  it('exits with 1 when an input fails', async () => {
+    quiet();
+    const code = await main(['-o', out, 'not a url', fixturePath('no-comments')]).finally(loud);
+    assert.strictEqual(code, 1);
+    assert.ok(fs.existsSync(path.join(out, 'kq3z1v.csv')));
+  });
+});
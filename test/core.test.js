@@ -0,0 +1,335 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const core = require('../core.js');
+const { readFixture, assertGolden } = require('./helpers/golden.js');
+
+function parse(name, maxDepth = null) {
+  return core.parseThreadResponse(readFixture(name), maxDepth);
+}
+
+function byId(rows, id) {
+  return rows.find(row => row.id === id);
+}
+
+describe('TOOL_VERSION', () => {
+  it('matches the package version', () => {
+    assert.strictEqual(core.TOOL_VERSION, require('../package.json').version);
+  });
+});
+
+describe('isBarePostId', () => {
+  it('takes input with a digit or a t3_ prefix as a post ID, but not plain words', () => {
+    assert.ok(core.isBarePostId('kq3z1v'));
+    assert.ok(core.isBarePostId('t3_gbkmga'));
+    assert.ok(!core.isBarePostId('gbkmga'));
+    assert.ok(!core.isBarePostId('postid'));
+    assert.ok(!core.isBarePostId('reddit'));
+    assert.deepStrictEqual(core.parseRedditUrl('t3_gbkmga'), { postId: 'gbkmga', commentId: null, context: null });
+    assert.strictEqual(core.parseRedditUrl('gbkmga'), null);
+    assert.strictEqual(core.parseRedditUrl('hello'), null);
+    assert.strictEqual(core.parseRedditUrl('thread'), null);
+  });
+});
+
+describe('buildThreadEndpoint', () => {
+  it('asks for unescaped bodies', () => {
+    assert.strictEqual(core.buildThreadEndpoint({ postId: 'gbkmga' }),
+      'https://www.reddit.com/comments/gbkmga.json?raw_json=1');
+    assert.strictEqual(core.buildThreadEndpoint({ postId: 'gbkmga', commentId: 'fp2aaa' }, { sort: 'top', context: 3 }),
+      'https://www.reddit.com/comments/gbkmga/_/fp2aaa.json?raw_json=1&sort=top&context=3');
+  });
+});
+
+describe('buildTableData', () => {
+  it('numbers comments depth-first and skips "more" stubs', () => {
+    const { rows } = parse('edge-cases');
+    assert.deepStrictEqual(rows.map(row => row.numbering), [
+      '1', '2', '2.1', '2.1.1', '2.2', '2.3', '3', '3.1', '4', '5', '6'
+    ]);
+    assert.deepStrictEqual(rows.map(row => row.level), [1, 1, 2, 3, 2, 2, 1, 2, 1, 1, 1]);
+    assert.ok(rows.every(row => row.postId === 'gbkmga'));
+  });
+
+  it('counts replies hidden behind "more" stubs', () => {
+    assert.strictEqual(parse('edge-cases').unresolvedMoreCount, 8);
+    assert.strictEqual(parse('many-siblings').unresolvedMoreCount, 0);
+  });
+
+  it('ignores stubs below maxDepth and drops deeper rows', () => {
+    const { rows, unresolvedMoreCount } = parse('edge-cases', 1);
+    assert.deepStrictEqual(rows.map(row => row.numbering), ['1', '2', '3', '4', '5', '6']);
+    assert.strictEqual(unresolvedMoreCount, 5);
+  });
+
+  it('falls back to upvotes minus downvotes when score is missing', () => {
+    const row = byId(parse('edge-cases').rows, 'fp1ddd');
+    assert.strictEqual(row.score, 0);
+
+    const rows = [];
+    core.buildTableData([{ kind: 't1', data: { id: 'x', body: 'b', author: 'a' } }], [], rows);
+    assert.strictEqual(rows[0].score, 0);
+    assert.strictEqual(rows[0].upvotes, 0);
+  });
+
+  it('keeps deleted and removed comments so their replies stay attached', () => {
+    const { rows } = parse('edge-cases');
+    assert.strictEqual(byId(rows, 'fp2bbb').body, '[deleted]');
+    assert.strictEqual(byId(rows, 'fp1ccc').body, '[removed]');
+    assert.strictEqual(byId(rows, 'fp2ggg').numbering, '3.1');
+    assert.strictEqual(byId(rows, 'fp1fff').body, '[deleted]');
+  });
+
+  it('treats an empty replies string as no replies', () => {
+    const rows = [];
+    const unresolved = core.buildTableData(
+      [{ kind: 't1', data: { id: 'x', body: 'b', author: 'a', score: 1, replies: '' } }], [], rows
+    );
+    assert.strictEqual(rows.length, 1);
+    assert.strictEqual(unresolved, 0);
+  });
+
+  it('reads edited, distinguished and submitter flags', () => {
+    const { rows } = parse('edge-cases');
+    assert.strictEqual(byId(rows, 'fp1aaa').distinguished, 'moderator');
+    assert.strictEqual(byId(rows, 'fp1aaa').stickied, true);
+    assert.strictEqual(byId(rows, 'fp1bbb').edited, 1588509000);
+    assert.strictEqual(byId(rows, 'fp2ccc').isSubmitter, true);
+    assert.strictEqual(byId(rows, 'fp1ddd').edited, null);
+  });
+
+  it('parses a post without comments and a comment permalink', () => {
+    assert.deepStrictEqual(parse('no-comments').rows, []);
+    const { rows } = parse('subthread');
+    assert.deepStrictEqual(rows.map(row => `${row.numbering} ${row.id}`), ['1 fp2aaa', '1.1 fp3aaa']);
+  });
+});
+
+describe('parseThreadResponse', () => {
+  it('recognizes thread responses', () => {
+    assert.ok(core.isThreadResponse(readFixture('no-comments')));
+    assert.ok(!core.isThreadResponse({ kind: 'Listing' }));
+    assert.ok(!core.isThreadResponse([readFixture('edge-cases')[0]]));
+  });
+
+  it('extracts the post info', () => {
+    const { postInfo } = parse('edge-cases');
+    assert.strictEqual(postInfo.id, 'gbkmga');
+    assert.strictEqual(postInfo.name, 't3_gbkmga');
+    assert.strictEqual(postInfo.subreddit, 'AskHistorians');
+    assert.strictEqual(postInfo.edited, null);
+    assert.strictEqual(postInfo.upvoteRatio, 0.97);
+  });
+});
+
+describe('parseThreadResponseChunked', () => {
+  // n top-level comments, each with a chain of `depth` replies
+  function syntheticThread(n, depth) {
+    const comment = id => ({
+      kind: 't1',
+      data: { id, body: `Body ${id}`, author: 'a', score: 1, created_utc: 1588500000, replies: '' }
+    });
+    const chain = i => {
+      const top = comment(`c${i}`);
+      let last = top;
+      for (let level = 2; level <= depth; level++) {
+        const reply = comment(`${last.data.id}r`);
+        last.data.replies = { kind: 'Listing', data: { children: [reply] } };
+        last = reply;
+      }
+      return top;
+    };
+    const children = Array.from({ length: n }, (_, i) => chain(i));
+    children.push({ kind: 'more', data: { count: 7, children: ['x'] } });
+    return [
+      { kind: 'Listing', data: { children: [{ kind: 't3', data: { id: 'big01', title: 'Big' } }] } },
+      { kind: 'Listing', data: { children } }
+    ];
+  }
+
+  it('gives the same result as parseThreadResponse', async () => {
+    for (const response of [readFixture('edge-cases'), syntheticThread(2500, 4)]) {
+      assert.deepStrictEqual(await core.parseThreadResponseChunked(response), core.parseThreadResponse(response));
+      assert.deepStrictEqual(await core.parseThreadResponseChunked(response, 2), core.parseThreadResponse(response, 2));
+    }
+  });
+
+  it('reports progress between chunks', async () => {
+    const progress = [];
+    const { rows } = await core.parseThreadResponseChunked(syntheticThread(2500, 2), null, n => progress.push(n));
+    assert.strictEqual(rows.length, 5000);
+    assert.deepStrictEqual(progress, [2000, 4000]);
+  });
+
+  it('handles very long reply chains', () => {
+    const { rows } = core.parseThreadResponse(syntheticThread(1, 3000));
+    assert.strictEqual(rows.length, 3000);
+    assert.strictEqual(rows[2999].level, 3000);
+  });
+});
+
+describe('expandMoreStubs', () => {
+  const comment = (id, replies = '') => ({
+    kind: 't1',
+    data: { id, name: `t1_${id}`, body: `Body ${id}`, author: 'a', score: 1, created_utc: 1588500000, replies }
+  });
+
+  // Answers /api/morechildren with one comment per requested ID, and
+  // "continue this thread" with one reply below the parent comment
+  function fakeReddit() {
+    const urls = [];
+    const getJson = async url => {
+      urls.push(url);
+      const params = new URL(url).searchParams;
+      if (url.includes('/api/morechildren')) {
+        return { json: { data: { things: params.get('children').split(',').map(id => comment(`${id}x`)) } } };
+      }
+      const parentId = url.match(/\/(\w+)\.json/)[1];
+      const replies = { kind: 'Listing', data: { children: [comment(`${parentId}c`)] } };
+      return [{}, { data: { children: [comment(parentId, replies)] } }];
+    };
+    return { urls, getJson };
+  }
+
+  it('replaces every stub with the comments behind it', async () => {
+    const response = readFixture('edge-cases');
+    const reddit = fakeReddit();
+    let waits = 0;
+    const failed = await core.expandMoreStubs(response[1].data.children, response[0].data.children[0].data, {
+      getJson: reddit.getJson,
+      wait: async () => { waits++; },
+      sort: 'top'
+    });
+
+    const { rows, unresolvedMoreCount } = core.parseThreadResponse(response);
+    assert.deepStrictEqual(failed, []);
+    assert.strictEqual(unresolvedMoreCount, 0);
+    assert.strictEqual(rows.length, 11 + 5 + 1); // five listed child IDs, one continued reply
+    assert.strictEqual(reddit.urls.length, 3);
+    assert.strictEqual(waits, 3);
+    assert.ok(reddit.urls.every(url => /[?&]raw_json=1/.test(url) && /[?&]sort=top/.test(url)));
+    assert.strictEqual(byId(rows, 'fp3aaac').numbering, '2.1.1.1');
+  });
+
+  it('leaves stubs below maxDepth alone and returns failed ones, marked unresolved', async () => {
+    const response = readFixture('edge-cases');
+    const urls = [];
+    const failed = await core.expandMoreStubs(response[1].data.children, response[0].data.children[0].data, {
+      getJson: async url => { urls.push(url); throw new Error('offline'); },
+      wait: async () => {},
+      maxDepth: 1
+    });
+    assert.strictEqual(urls.length, 1);
+    assert.strictEqual(failed.length, 1);
+    assert.strictEqual(failed[0].error.message, 'offline');
+    assert.match(failed[0].parentName, /^t[13]_/);
+    assert.strictEqual(core.parseThreadResponse(response, 1).unresolvedMoreCount, 5);
+  });
+});
+
+describe('convertToCsvRow', () => {
+  it('quotes every cell and doubles embedded quotes', () => {
+    assert.strictEqual(core.convertToCsvRow(['a', 'b,c', 'say "hi"']), '"a","b,c","say ""hi"""');
+  });
+
+  it('keeps newlines inside the quotes', () => {
+    assert.strictEqual(core.convertToCsvRow(['one\ntwo', 'x\r\ny']), '"one\ntwo","x\r\ny"');
+  });
+
+  it('writes numbers, booleans and empty values as text', () => {
+    assert.strictEqual(core.convertToCsvRow([0, -3, true, '']), '"0","-3","true",""');
+  });
+});
+
+describe('CSV dialects', () => {
+  const { rows } = parse('edge-cases');
+
+  it('writes any table in the same dialect with buildCsv', () => {
+    const dialect = { delimiter: ';', quote: 'minimal', lineEnding: '\r\n', nullValue: 'NA', bom: true };
+    assert.strictEqual(core.buildCsv(['Metric', 'Value'], [['a;b', 1], ['missing', null]], dialect),
+      '\uFEFFMetric;Value\r\n"a;b";1\r\nmissing;NA\r\n');
+  });
+
+  it('writes semicolons with minimal quoting', () => {
+    assertGolden('edge-cases.semicolon.csv', core.buildCommentsCsv(rows, { delimiter: ';', quote: 'minimal' }));
+  });
+
+  it('writes tabs, CRLF line endings and a BOM', () => {
+    const tsv = core.buildCommentsCsv(rows.slice(0, 1), { delimiter: '\t', lineEnding: '\r\n', bom: true });
+    assert.strictEqual(tsv, '\uFEFFNumber\tLevel\tBody\tAuthor\tDate(UTC)\tUpvotes\tDownvotes\r\n'
+      + '"1"\t"1"\t"Mod note: please keep answers in depth."\t"AutoModerator"\t"2020-05-03T10:01:00+00:00"\t"1"\t"0"\r\n');
+  });
+
+  it('adds epoch seconds after each date and writes missing values as asked', () => {
+    const columns = core.COMMENT_COLUMNS.filter(col => ['numbering', 'dateUtc', 'edited'].includes(col.key));
+    const csv = core.buildCommentsCsv(rows.slice(1, 3), { columns, epochColumns: true, nullValue: 'NA' });
+    assert.strictEqual(csv, 'Number,Date(UTC),Date(epoch),Edited(UTC),Edited(epoch)\n'
+      + '"2","2020-05-03T10:10:00+00:00","1588500600","2020-05-03T12:30:00+00:00","1588509000"\n'
+      + '"2.1","2020-05-03T10:15:00+00:00","1588500900","NA","NA"\n');
+
+    const compact = core.buildCommentsCsv(rows.slice(0, 1), { compact: true, epochColumns: true });
+    assert.match(compact, /^Number,Date\(epoch\),Body \(Compact\)\n"1","1588500060","Mod note/);
+  });
+
+  it('neutralizes cells a spreadsheet would run as formulas', () => {
+    const dialect = { protectFormulas: true };
+    assert.strictEqual(core.convertToCsvRow(['=HYPERLINK("x")', '+1+1', '@SUM(A1)', '-2+3', '- list item'], dialect),
+      '"\'=HYPERLINK(""x"")","\'+1+1","\'@SUM(A1)","\'-2+3","\'- list item"');
+    assert.strictEqual(core.convertToCsvRow(['-4', '+3', '2.5', 'plain'], dialect), '"-4","+3","2.5","plain"');
+    assert.strictEqual(core.convertToCsvRow(['=1+1']), '"=1+1"');
+  });
+
+  it('quotes only cells that need it in minimal mode', () => {
+    const dialect = { delimiter: ';', quote: 'minimal' };
+    assert.strictEqual(core.convertToCsvRow(['a,b', 'a;b', 'say "hi"', 'x\ny', ' pad', 'ok'], dialect),
+      'a,b;"a;b";"say ""hi""";"x\ny";" pad";ok');
+  });
+
+  it('fills file name templates', () => {
+    const values = { subreddit: 'AskHistorians', postId: 'gbkmga', date: '2020-05-04' };
+    assert.strictEqual(core.formatFileName('{subreddit}_{postId}_{date}', values, 'csv'),
+      'AskHistorians_gbkmga_2020-05-04.csv');
+    assert.strictEqual(core.formatFileName('r/{subreddit} export: {postId}', values, 'tsv'),
+      'r_AskHistorians_export_gbkmga.tsv');
+    assert.strictEqual(core.formatFileName('', values, 'json'), 'reddit_comments.json');
+  });
+});
+
+describe('formatDate', () => {
+  it('formats each date style in UTC', () => {
+    assert.strictEqual(core.formatDate(1588500600), '2020-05-03T10:10:00+00:00');
+    assert.strictEqual(core.formatDate(1588500600, 'utc'), '2020-05-03T10:10:00Z');
+    assert.strictEqual(core.formatDate(1588500600, 'rfc1123'), 'Sun, 03 May 2020 10:10:00 GMT');
+  });
+
+  it('leaves missing dates empty', () => {
+    assert.strictEqual(core.formatDate(null), '');
+  });
+});
+
+describe('buildCommentsCsv', () => {
+  const { rows } = parse('edge-cases');
+
+  it('matches the golden default CSV', () => {
+    assertGolden('edge-cases.csv', core.buildCommentsCsv(rows));
+  });
+
+  it('matches the golden compact CSV with newlines stripped', () => {
+    assertGolden('edge-cases.compact.csv', core.buildCommentsCsv(rows, {
+      compact: true,
+      removeNewlines: true,
+      dateFormat: 'utc'
+    }));
+  });
+
+  it('writes every column when asked to', () => {
+    const columns = core.COMMENT_COLUMNS.filter(col => !['codes', 'memo'].includes(col.type));
+    assertGolden('edge-cases.all-columns.csv', core.buildCommentsCsv(rows, { columns, dateFormat: 'rfc1123' }));
+  });
+
+  it('writes only the header for a post without comments', () => {
+    assert.strictEqual(
+      core.buildCommentsCsv([]),
+      'Number,Level,Body,Author,Date(UTC),Upvotes,Downvotes\n'
+    );
+  });
+});
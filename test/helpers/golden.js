@@ -0,0 +1,35 @@
+/*
+  Fixtures and golden files. Run the tests with UPDATE_GOLDEN=1 to rewrite
+  the golden files after an intended output change, then review the diff.
+*/
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+const GOLDEN = path.join(__dirname, '..', 'golden');
+
+// A recorded thread JSON from test/fixtures
+function readFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES, `${name}.json`), 'utf8'));
+}
+
+function fixturePath(name) {
+  return path.join(FIXTURES, `${name}.json`);
+}
+
+// Compare text with test/golden/<filename>
+function assertGolden(filename, actual) {
+  const file = path.join(GOLDEN, filename);
+  if (process.env.UPDATE_GOLDEN) {
+    fs.writeFileSync(file, actual, 'utf8');
+    return;
+  }
+  if (!fs.existsSync(file)) {
+    assert.fail(`Missing golden file ${filename}; run with UPDATE_GOLDEN=1 to create it`);
+  }
+  assert.strictEqual(actual, fs.readFileSync(file, 'utf8'), `Output differs from golden/${filename}`);
+}
+
+module.exports = { readFixture, fixturePath, assertGolden };
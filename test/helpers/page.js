@@ -0,0 +1,155 @@
+/*
+  Loads core.js and script.js into a fresh VM context with a small DOM
+  stand-in, so the page functions can run in Node without a browser.
+
+  Elements are created on first use by id (and querySelector results on
+  first use by selector) and only remember what the page writes to them
+  (innerHTML, value, checked, classes, style). Nothing is laid out, so sizes
+  and scroll positions are whatever a test sets. Downloads are captured
+  instead of saved: page.downloads holds
+  { filename, text(), bytes() }; text() drops a leading byte order mark.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+const SOURCE = ['core.js', 'script.js']
+  .map(file => fs.readFileSync(path.join(ROOT, file), 'utf8'))
+  .join('\n;\n');
+
+function createClassList() {
+  const classes = new Set();
+  return {
+    add: (...names) => names.forEach(name => classes.add(name)),
+    remove: (...names) => names.forEach(name => classes.delete(name)),
+    toggle: (name, force) => {
+      const on = force === undefined ? !classes.has(name) : force;
+      if (on) classes.add(name); else classes.delete(name);
+      return on;
+    },
+    contains: name => classes.has(name)
+  };
+}
+
+function createElement(tagName, id = '') {
+  const found = new Map();
+  return {
+    tagName: tagName.toUpperCase(),
+    id,
+    innerHTML: '',
+    textContent: '',
+    value: '',
+    checked: false,
+    disabled: false,
+    style: {},
+    dataset: {},
+    children: [],
+    classList: createClassList(),
+    setAttribute(name, value) { this[name] = value; },
+    getAttribute(name) { return this[name] === undefined ? null : this[name]; },
+    appendChild(child) { this.children.push(child); return child; },
+    removeChild(child) { this.children = this.children.filter(c => c !== child); return child; },
+    addEventListener() {},
+    removeEventListener() {},
+    scrollTop: 0,
+    clientHeight: 0,
+    querySelector(selector) {
+      if (!found.has(selector)) found.set(selector, createElement('div'));
+      return found.get(selector);
+    },
+    querySelectorAll: () => [],
+    scrollIntoView() {},
+    focus() {},
+    click() {}
+  };
+}
+
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key),
+    clear: () => items.clear()
+  };
+}
+
+function loadPage() {
+  const elements = new Map();
+  const downloads = [];
+  const blobs = new Map();
+
+  const document = {
+    body: createElement('body'),
+    getElementById(id) {
+      if (!elements.has(id)) elements.set(id, createElement('div', id));
+      return elements.get(id);
+    },
+    createElement(tagName) {
+      const el = createElement(tagName);
+      if (el.tagName === 'A') {
+        el.click = () => {
+          const blob = blobs.get(el.href);
+          downloads.push({
+            filename: el.download,
+            text: () => blob.text(),
+            bytes: async () => Buffer.from(await blob.arrayBuffer())
+          });
+        };
+      }
+      return el;
+    },
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    addEventListener() {}
+  };
+
+  let nextBlob = 0;
+  const URLStandIn = class extends URL {
+    static createObjectURL(blob) {
+      const url = `blob:test/${nextBlob++}`;
+      blobs.set(url, blob);
+      return url;
+    }
+    static revokeObjectURL() {}
+  };
+
+  const alerts = [];
+  const context = vm.createContext({
+    console,
+    document,
+    localStorage: createStorage(),
+    alert: message => alerts.push(message),
+    confirm: () => true,
+    Blob,
+    URL: URLStandIn,
+    URLSearchParams,
+    TextEncoder,
+    AbortController,
+    // Long timers (revoking download URLs) must not keep the test process alive
+    setTimeout: (callback, ms, ...args) => {
+      const timer = setTimeout(callback, ms, ...args);
+      if (ms >= 1000) timer.unref();
+      return timer;
+    },
+    clearTimeout,
+    requestAnimationFrame: callback => setTimeout(callback, 0)
+  });
+  context.window = context;
+  vm.runInContext(SOURCE, context, { filename: 'page.js' });
+
+  return {
+    document,
+    downloads,
+    alerts,
+    // Evaluate code in the page's global scope (sees its let/const globals)
+    run: code => vm.runInContext(code, context),
+    // Same, copied out as JSON: arrays and objects from the VM have their own
+    // prototypes and never deepStrictEqual a Node value
+    json: code => JSON.parse(vm.runInContext(`JSON.stringify(${code})`, context))
+  };
+}
+
+module.exports = { loadPage };
@@ -0,0 +1,527 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('assert');
+const { loadPage } = require('./helpers/page.js');
+const { readFixture, assertGolden } = require('./helpers/golden.js');
+
+// A page with the fixture loaded the way fetchThread leaves it
+async function pageWithThread(name) {
+  const page = loadPage();
+  await page.run(`
+    (async function (response) {
+      const thread = await threadFromResponse(response, 'https://www.reddit.com/comments/test/',
+        '2020-05-04T00:00:00.000Z', null, setFetchStatus);
+      postInfo = thread.postInfo;
+      tableData = thread.rows;
+      fetchLog = [thread.source];
+      tableBuilt = true;
+    })
+  `)(readFixture(name));
+  return page;
+}
+
+function numberings(page) {
+  return page.json('tableData.map(row => row.numbering)');
+}
+
+describe('parseUrlList', () => {
+  it('skips header lines and plain words in an uploaded list', () => {
+    const list = 'url\npostid\nreddit\nhttps://www.reddit.com/comments/gbkmga/\nkq3z1v\nt3_abcdef\n';
+    assert.deepStrictEqual(loadPage().json(`parseUrlList(${JSON.stringify(list)})`),
+      ['https://www.reddit.com/comments/gbkmga', 'kq3z1v', 't3_abcdef']);
+  });
+
+  it('lists each post once, however it is written', () => {
+    const list = 'https://www.reddit.com/r/AskHistorians/comments/kq3z1v/title/\nhttps://old.reddit.com/comments/kq3z1v\n'
+      + 'kq3z1v\nt3_kq3z1v\nhttps://www.reddit.com/r/AskHistorians/comments/kq3z1v/title/fp2aaa/\n';
+    assert.deepStrictEqual(loadPage().json(`parseUrlList(${JSON.stringify(list)})`), [
+      'https://www.reddit.com/r/AskHistorians/comments/kq3z1v/title',
+      'https://www.reddit.com/r/AskHistorians/comments/kq3z1v/title/fp2aaa'
+    ]);
+  });
+});
+
+describe('compareArray', () => {
+  const page = loadPage();
+
+  it('orders numberings numerically, level by level', () => {
+    const compareArray = page.run('compareArray');
+    assert.strictEqual(compareArray([2], [10]), -1);
+    assert.strictEqual(compareArray([1, 10], [1, 2]), 1);
+    assert.strictEqual(compareArray([1], [1, 1]), -1);
+    assert.strictEqual(compareArray([3, 1], [3, 1]), 0);
+  });
+});
+
+describe('sortTable', () => {
+  let page;
+  beforeEach(async () => {
+    page = await pageWithThread('many-siblings');
+  });
+
+  it('sorts numbering as numbers, not text, and toggles direction', () => {
+    page.run('tableData.reverse(); sortTable("numbering")');
+    const asc = numberings(page);
+    assert.deepStrictEqual(asc.slice(0, 13), [
+      '1', '1.1', '1.2', '1.3', '1.4', '1.5', '1.6', '1.7', '1.8', '1.9', '1.10', '2', '3'
+    ]);
+    assert.deepStrictEqual(asc.slice(-2), ['10', '11']);
+
+    page.run('sortTable("numbering")');
+    assert.deepStrictEqual(numberings(page), asc.slice().reverse());
+  });
+
+  it('sorts number columns numerically', () => {
+    page.run('sortTable("score")');
+    const scores = page.json('tableData.map(row => row.score)');
+    assert.deepStrictEqual(scores, scores.slice().sort((a, b) => a - b));
+  });
+
+  it('sorts text columns case-insensitively', () => {
+    page.run('sortTable("body")');
+    const bodies = page.json('tableData.map(row => row.body.toLowerCase())');
+    assert.deepStrictEqual(bodies, bodies.slice().sort());
+  });
+
+  it('keeps a direction per column', () => {
+    page.run('sortTable("score"); sortTable("score")');
+    assert.strictEqual(page.json('tableData[0].score'), 11);
+    page.run('sortTable("author")');
+    assert.strictEqual(page.json('tableData[0].author'), 'user0');
+  });
+
+  it('adds further keys on shift-click and breaks ties in thread order', () => {
+    const user1 = () => page.json('tableData.filter(row => row.author === "user1").map(row => row.numbering)');
+    page.run('sortTable("author")');
+    assert.deepStrictEqual(user1(), ['1', '1.1', '5', '9']);
+
+    page.run('sortTable("score", { shiftKey: true }); sortTable("score", { shiftKey: true })');
+    assert.deepStrictEqual(user1(), ['1', '5', '9', '1.1']);
+    const authors = page.json('tableData.map(row => row.author)');
+    assert.deepStrictEqual(authors, authors.slice().sort());
+  });
+
+  it('shows the direction and rank of each sort key in the headers', () => {
+    page.run('sortTable("author"); sortTable("upvotes", { shiftKey: true }); sortTable("upvotes", { shiftKey: true })');
+    const html = page.document.getElementById('table-wrapper').innerHTML;
+    assert.match(html, /Author <span class="sort-indicator no-copy">▲<sup>1<\/sup><\/span>/);
+    assert.match(html, /Upvotes <span class="sort-indicator no-copy">▼<sup>2<\/sup><\/span>/);
+  });
+
+  it('sorts within siblings without breaking the thread apart', () => {
+    page.run('sortWithinSiblings = true; sortTable("score")');
+    assert.deepStrictEqual(numberings(page), [
+      '11', '10', '9', '8', '7', '6', '5', '4', '3', '2', '1',
+      '1.1', '1.2', '1.3', '1.4', '1.5', '1.6', '1.7', '1.8', '1.9', '1.10'
+    ]);
+    page.run('sortTable("score")');
+    assert.deepStrictEqual(numberings(page).slice(0, 3), ['1', '1.10', '1.9']);
+  });
+
+  it('sorts within siblings in very deep threads', () => {
+    const page = loadPage();
+    const levels = page.run(`
+      tableData = Array.from({ length: 5000 }, (_, i) => ({
+        postId: 'deep01', numbering: '1' + '.1'.repeat(i), level: i + 1,
+        body: 'b', author: 'a', upvotes: 0, downvotes: 0, score: i, dateUtc: null
+      }));
+      sortSiblings(tableData, buildRowComparator([{ key: 'score', asc: false }])).map(row => row.level);
+    `);
+    assert.strictEqual(levels.length, 5000);
+    assert.strictEqual(levels[4999], 5000);
+  });
+
+  it('returns to thread order', () => {
+    page.run('sortTable("body"); clearSort()');
+    assert.deepStrictEqual(numberings(page).slice(0, 3), ['1', '1.1', '1.2']);
+  });
+
+  it('offers author, date and score sorting in compact mode', () => {
+    page.run('isCompactMode = true; sortTable("dateUtc"); sortTable("dateUtc")');
+    const html = page.document.getElementById('table-wrapper').innerHTML;
+    assert.match(html, /sortTable\('author', event\)/);
+    assert.match(html, />date<\/a> <span class="sort-indicator no-copy">▼<\/span>/);
+    assert.strictEqual(numberings(page)[0], '11');
+  });
+
+  it('ignores unknown columns', () => {
+    const before = numberings(page);
+    page.run('sortTable("nope")');
+    assert.deepStrictEqual(numberings(page), before);
+  });
+});
+
+describe('renderTable', () => {
+  it('matches the golden table HTML', async () => {
+    const page = await pageWithThread('edge-cases');
+    page.run('renderTable(tableData)');
+    assertGolden('edge-cases.table.html', page.document.getElementById('table-wrapper').innerHTML);
+  });
+
+  it('matches the golden compact table HTML', async () => {
+    const page = await pageWithThread('edge-cases');
+    page.run('isCompactMode = true; renderTable(tableData)');
+    assertGolden('edge-cases.compact-table.html', page.document.getElementById('table-wrapper').innerHTML);
+  });
+
+  it('escapes comment text', async () => {
+    const page = await pageWithThread('no-comments');
+    page.run(`tableData = [{ postId: 'kq3z1v', numbering: '1', level: 1, body: '<img src=x onerror=alert(1)>',
+      author: '<b>', upvotes: 0, downvotes: 0, score: 0, dateUtc: null }]; renderTable(tableData)`);
+    const html = page.document.getElementById('table-wrapper').innerHTML;
+    assert.ok(!html.includes('<img'));
+    assert.ok(!html.includes('<b>'));
+  });
+
+  it('keeps imported row data out of inline handlers', async () => {
+    const page = await pageWithThread('no-comments');
+    const numbering = "1');alert(document.cookie);('";
+    page.run(`codebook = ['theme']; isCompactMode = true;
+      tableData = [{ postId: 'kq3z1v', numbering: ${JSON.stringify(numbering)}, level: 1, body: 'b', author: 'a',
+        upvotes: 0, downvotes: 0, score: 0, dateUtc: null }]; renderTable(tableData)`);
+    const html = page.document.getElementById('table-wrapper').innerHTML;
+    assert.ok(!/onclick="[^"]*alert/.test(html));
+    assert.ok(html.includes(`data-numbering="${numbering}"`));
+    const codeButton = html.match(/<button[^>]*data-row-action="code"[^>]*>/)[0];
+    assert.ok(codeButton.includes(`data-annotation-key="${numbering}"`));
+
+    page.run(`
+      const tr = { dataset: { postId: 'kq3z1v', numbering: ${JSON.stringify(numbering)} } };
+      const button = { dataset: { rowAction: 'code', annotationKey: ${JSON.stringify(numbering)} }, closest: () => tr };
+      onTableButtonClick({ target: { closest: () => button } });
+    `);
+    assert.deepStrictEqual(page.json('editingAnnotation'), { postId: 'kq3z1v', key: numbering });
+
+    page.run(`
+      showInTree = (postId, numbering) => { shownInTree = [postId, numbering]; };
+      button.dataset.rowAction = 'tree';
+      onTableButtonClick({ target: { closest: () => button } });
+    `);
+    assert.deepStrictEqual(page.json('shownInTree'), ['kq3z1v', numbering]);
+  });
+});
+
+describe('renderMarkdown', () => {
+  it('renders bodies saved without raw_json the same as unescaped ones', async () => {
+    const page = await pageWithThread('escaped-entities');
+    const html = page.run('renderMarkdown(tableData[0].body)');
+    assert.strictEqual(html, '<blockquote><p>Was it &lt;really&gt; that bad?</p></blockquote>'
+      + '<p>Yes &amp; no. <span class="md-spoiler" title="Spoiler">It was worse.</span></p>');
+    assert.strictEqual(page.run('renderMarkdown("&gt; Quoted question\\n\\nFish &amp;amp; chips")'),
+      '<blockquote><p>Quoted question</p></blockquote><p>Fish &amp;amp; chips</p>');
+  });
+});
+
+describe('computeThreadStats', () => {
+  it('handles more rows than fit in a call stack', () => {
+    const stats = loadPage().json(`computeThreadStats(Array.from({ length: 300000 }, (_, i) => ({
+      postId: 'big01', numbering: String(i + 1), level: 1, body: 'b', author: 'a' + (i % 50),
+      score: i % 7 - 3, dateUtc: 1588500000 + i
+    })), [{ id: 'big01', dateUtc: 1588499000 }])`);
+    assert.strictEqual(stats.scoreMin, -3);
+    assert.strictEqual(stats.scoreMax, 3);
+    assert.strictEqual(stats.maxDepth, 1);
+    assert.strictEqual(stats.firstCommentLatency, 1000);
+    assert.strictEqual(stats.timelineUnit, 'day');
+  });
+});
+
+describe('pseudonyms', () => {
+  it('gives the OP the same pseudonym as the post and marks them with isSubmitter', async () => {
+    const page = await pageWithThread('edge-cases');
+    page.run('anonymizeSettings.pseudonyms = true');
+    const op = page.json('anonymizePost(postInfo).author');
+    const opRows = page.json('getOutputRows().filter(row => row.author === ' + JSON.stringify(op) + ')');
+    assert.ok(opRows.length > 0);
+    assert.ok(opRows.every(row => row.isSubmitter));
+    assert.ok(!page.json('getOutputRows().some(row => row.author.includes("(OP)"))'));
+
+    const graph = page.run('buildAuthorGraph([anonymizePost(postInfo)], getOutputRows())');
+    const opNodes = graph.nodes.filter(node => node.id.startsWith(op));
+    assert.strictEqual(opNodes.length, 1);
+    assert.strictEqual(opNodes[0].data.isOp, true);
+    assert.strictEqual(opNodes[0].data.comments, opRows.length);
+  });
+});
+
+describe('buildAuthorGraph', () => {
+  it('leaves out deleted and removed authors', async () => {
+    const page = await pageWithThread('edge-cases');
+    const graph = page.run(`buildAuthorGraph([postInfo], tableData.map(row =>
+      (row.author === 'scholar_a' ? { ...row, author: '[removed]' } : row)))`);
+    assert.ok(graph.nodes.length > 0);
+    assert.ok(!graph.nodes.some(node => /\[(deleted|removed)\]/.test(node.id)));
+    assert.ok(!graph.edges.some(edge => /\[(deleted|removed)\]/.test(edge.source + edge.target)));
+  });
+});
+
+describe('redactText', () => {
+  const redactPhones = text => {
+    const page = loadPage();
+    return page.run('(function (text) { anonymizeSettings.redact.phones = true; return redactText(text); })')(text);
+  };
+
+  it('redacts phone numbers', () => {
+    assert.strictEqual(redactPhones('call +44 20 7946 0018 or +1 (555) 555-1234'), 'call [phone] or [phone]');
+    assert.strictEqual(redactPhones('(555) 555-1234, 555-555-1234 and 555.555.1234'), '[phone], [phone] and [phone]');
+  });
+
+  it('leaves lists of years and round numbers alone', () => {
+    const text = 'in 2019 2020 2021 and 1000 2000 3000, or 2019-2020 and 2020.05.04';
+    assert.strictEqual(redactPhones(text), text);
+  });
+});
+
+describe('parseImportedText', () => {
+  it('keeps every reply of a saved thread whatever the last fetch depth was', async () => {
+    const page = loadPage();
+    const text = JSON.stringify(readFixture('edge-cases'));
+    const imported = await page.run('(function (text) { maxCommentDepth = 1; return parseImportedText(text, "saved.json"); })')(text);
+    assert.strictEqual(imported.rows.length, 11);
+    assert.strictEqual(imported.sources[0].unresolvedMoreCount, 8);
+  });
+
+  it('leaves the fetch warning count alone', async () => {
+    const page = loadPage();
+    const text = JSON.stringify(readFixture('edge-cases'));
+    await page.run('(function (text) { unresolvedMoreCount = 2; return parseImportedText(text, "saved.json"); })')(text);
+    assert.strictEqual(page.run('unresolvedMoreCount'), 2);
+  });
+});
+
+describe('loadImportedData', () => {
+  it('is not overwritten by an export that finishes afterwards', async () => {
+    const page = loadPage();
+    page.document.querySelector = () => ({ value: 'iso8601' });
+    page.run(`(function (response) {
+      fetchThread = () => new Promise(resolve => {
+        finishFetch = () => resolve({ ...parseThreadResponse(response), source: {} });
+      });
+    })`)(readFixture('edge-cases'));
+    page.run('beginFetch(); fetchData("t3_gbkmga")');
+
+    page.run(`(function (response) {
+      const thread = parseThreadResponse(response);
+      loadImportedData({ rows: thread.rows, posts: [thread.postInfo], sources: [] }, 'saved.json');
+    })`)(readFixture('no-comments'));
+    page.run('finishFetch()');
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    assert.strictEqual(page.json('postInfo.id'), 'kq3z1v');
+    assert.strictEqual(page.json('tableData.length'), 0);
+    assert.strictEqual(page.run('fetchController'), null);
+  });
+});
+
+describe('windowed table', () => {
+  function pageWithRows(count) {
+    const page = loadPage();
+    page.run(`
+      tableData = Array.from({ length: ${count} }, (_, i) => ({
+        postId: 'big01', numbering: String(i + 1), level: 1, body: 'Comment ' + (i + 1), author: 'a',
+        upvotes: 0, downvotes: 0, score: i, dateUtc: 1588500000 + i
+      }));
+      tableBuilt = true;
+      renderTable(tableData);
+    `);
+    page.tbody = () => page.document.getElementById('table-wrapper').querySelector('#output-table tbody').innerHTML;
+    return page;
+  }
+  const drawnRows = html => (html.match(/data-numbering="(\d+)"/g) || []).map(m => Number(m.match(/\d+/)[0]));
+
+  it('draws only the rows around the visible area of a large table', () => {
+    const page = pageWithRows(5000);
+    const rows = drawnRows(page.tbody());
+    assert.ok(rows.length > 0 && rows.length <= 50, `${rows.length} rows drawn`);
+    assert.match(page.tbody(), /class="table-spacer no-copy"><td colspan="7" style="height:\d+px;"/);
+  });
+
+  it('draws the rows scrolled to', () => {
+    const page = pageWithRows(5000);
+    const wrapper = page.document.getElementById('table-wrapper');
+    wrapper.clientHeight = 400;
+    wrapper.scrollTop = 40 * 3000;
+    page.run('renderTableWindow()');
+    const rows = drawnRows(page.tbody());
+    assert.ok(rows.includes(3001) && rows.includes(3010), 'rows around 3000 are drawn');
+    assert.ok(!rows.includes(1));
+  });
+
+  it('keeps the scrolled window after a sort', () => {
+    const page = pageWithRows(5000);
+    const wrapper = page.document.getElementById('table-wrapper');
+    wrapper.clientHeight = 400;
+    wrapper.scrollTop = 40 * 3000;
+    page.run('sortTable("score"); sortTable("score")');
+    // Descending by score, the rows around position 3000 are numbered around 2000
+    const rows = drawnRows(page.tbody());
+    assert.strictEqual(wrapper.scrollTop, 40 * 3000);
+    assert.ok(rows.includes(2000) && rows.includes(1991), `rows ${rows[0]} to ${rows[rows.length - 1]} drawn`);
+    assert.ok(!rows.includes(5000) && !rows.includes(3000));
+  });
+
+  it('draws small tables in full', () => {
+    const page = pageWithRows(100);
+    assert.strictEqual(page.run('tableView'), null);
+    assert.strictEqual(drawnRows(page.document.getElementById('table-wrapper').innerHTML).length, 100);
+  });
+});
+
+describe('openThreadReader', () => {
+  it('nests every reply inside its parent', async () => {
+    const page = await pageWithThread('edge-cases');
+    page.run('openThreadReader()');
+    const html = page.document.getElementById('thread-reader').innerHTML;
+    assert.strictEqual(html.match(/class="reader-comment"/g).length, 11);
+    assert.match(html, /data-numbering="2\.1">[\s\S]*?<div class="reader-children">\s*<div class="reader-comment" data-numbering="2\.1\.1">/);
+  });
+
+  it('renders very deep threads', () => {
+    const page = loadPage();
+    page.run(`
+      postInfo = { id: 'deep01', title: 'Deep', author: 'a', score: 0, selftext: '' };
+      tableBuilt = true;
+      tableData = Array.from({ length: 5000 }, (_, i) => ({
+        postId: 'deep01', numbering: '1' + '.1'.repeat(i), level: i + 1,
+        body: 'b', author: 'a', upvotes: 0, downvotes: 0, score: i, dateUtc: null
+      }));
+      openThreadReader();
+    `);
+    const html = page.document.getElementById('thread-reader').innerHTML;
+    assert.strictEqual(html.match(/class="reader-comment"/g).length, 5000);
+    assert.strictEqual(html.match(/<div/g).length, html.match(/<\/div>/g).length);
+  });
+});
+
+describe('downloadCSV', () => {
+  it('downloads the same CSV as the core module writes', async () => {
+    const page = await pageWithThread('edge-cases');
+    page.run('downloadCSV()');
+    assert.strictEqual(page.downloads.length, 1);
+    assert.strictEqual(page.downloads[0].filename, 'reddit_comments.csv');
+    assertGolden('edge-cases.csv', await page.downloads[0].text());
+  });
+
+  it('uses the CSV settings and the file name template', async () => {
+    const page = await pageWithThread('edge-cases');
+    const field = id => page.document.getElementById(id);
+    field('csv-delimiter').value = 'semicolon';
+    field('csv-quote').value = 'minimal';
+    field('file-name-template').value = '{subreddit}_{postId}_{date}';
+    page.run('downloadCSV()');
+    assert.strictEqual(page.downloads[0].filename, 'AskHistorians_gbkmga_2020-05-04.csv');
+    assertGolden('edge-cases.semicolon.csv', await page.downloads[0].text());
+
+    field('csv-delimiter').value = 'tab';
+    field('csv-bom').checked = true;
+    field('csv-protect-formulas').checked = true;
+    page.run('tableData[0].body = "=cmd()"; downloadCSV()');
+    assert.strictEqual(page.downloads[1].filename, 'AskHistorians_gbkmga_2020-05-04.tsv');
+    const tsv = (await page.downloads[1].bytes()).toString('utf8');
+    assert.ok(tsv.startsWith('\uFEFFNumber\tLevel\tBody'));
+    assert.match(tsv, /\t'=cmd\(\)\t/);
+  });
+
+  it('writes the stats and pseudonym key in the same dialect, named after the template', async () => {
+    const page = await pageWithThread('edge-cases');
+    const field = id => page.document.getElementById(id);
+    field('csv-delimiter').value = 'semicolon';
+    field('csv-quote').value = 'minimal';
+    field('file-name-template').value = '{subreddit}_{postId}';
+    page.run('threadStats = computeThreadStats(tableData, [postInfo]); downloadStatsCSV()');
+    page.run('anonymizeSettings.pseudonyms = true; downloadPseudonymKey()');
+
+    assert.deepStrictEqual(page.downloads.map(d => d.filename),
+      ['AskHistorians_gbkmga_stats.csv', 'AskHistorians_gbkmga_pseudonym_key.csv']);
+    const [stats, key] = await Promise.all(page.downloads.map(d => d.text()));
+    assert.ok(stats.startsWith('Section;Metric;Value\nsummary;'));
+    assert.ok(key.startsWith('Username;Pseudonym\n'));
+    assert.match(key, /\nhistorian_op;User \d+\n/);
+  });
+
+  it('refuses to download before an export', () => {
+    const page = loadPage();
+    page.run('downloadCSV()');
+    assert.strictEqual(page.downloads.length, 0);
+    assert.strictEqual(page.alerts.length, 1);
+  });
+});
+
+describe('createCollapsibleTree', () => {
+  // d3 stand-in: selections and layouts accept any call chain; hierarchy
+  // behaves like d3's, which leaves `children` undefined for a leaf
+  function withFakeD3(page) {
+    const chain = new Proxy(function () {}, { get: () => chain, apply: () => chain });
+    const hierarchy = (data, children) => {
+      const kids = children(data);
+      const node = { data, depth: 0 };
+      if (kids && kids.length) {
+        node.children = kids.map(kid => Object.assign(hierarchy(kid, () => null), { parent: node, depth: 1 }));
+      }
+      return node;
+    };
+    page.run('(function (fake) { d3 = fake; })')(new Proxy({ hierarchy }, {
+      get: (target, prop) => (prop in target ? target[prop] : chain)
+    }));
+    return page;
+  }
+
+  it('draws a post without comments', async () => {
+    const page = withFakeD3(await pageWithThread('no-comments'));
+    const root = page.run('buildHierarchyFromDict(buildNodeDictionary(tableData))');
+    assert.doesNotThrow(() => page.run('createCollapsibleTree')(root, 'viz-container', null));
+    assert.strictEqual(typeof page.run('vizFocusNode'), 'function');
+  });
+
+  it('opens the replies of the top-level comments', async () => {
+    const page = withFakeD3(await pageWithThread('edge-cases'));
+    const root = page.run('buildHierarchyFromDict(buildNodeDictionary(tableData))');
+    page.run('createCollapsibleTree')(root, 'viz-container', null);
+    assert.doesNotThrow(() => page.run('vizFocusNode("2.1.1")'));
+  });
+});
+
+describe('hierarchy', () => {
+  it('builds a node per row, linked by numbering', async () => {
+    const page = await pageWithThread('edge-cases');
+    const dict = page.run('buildNodeDictionary(tableData)');
+    assert.strictEqual(Object.keys(dict).length, 11);
+    assert.strictEqual(dict['2.1.1'].parentId, '2.1');
+    assert.strictEqual(dict['2'].parentId, null);
+    assert.strictEqual(dict['2.2'].bodySnippet, '[deleted]');
+  });
+
+  it('marks the OP with or without pseudonyms', async () => {
+    const page = await pageWithThread('edge-cases');
+    assert.strictEqual(page.run('buildNodeDictionary(getOutputRows())')['2.3'].isOp, true);
+    assert.strictEqual(page.run('buildNodeDictionary(getOutputRows())')['2'].isOp, false);
+    page.run('anonymizeSettings.pseudonyms = true');
+    assert.strictEqual(page.run('buildNodeDictionary(getOutputRows())')['2.3'].isOp, true);
+  });
+
+  it('matches the golden hierarchy and leaf counts', async () => {
+    const page = await pageWithThread('edge-cases');
+    const root = page.run('buildHierarchyFromDict(buildNodeDictionary(tableData))');
+    const outline = node => ({
+      id: node.id || node.name,
+      count: node.count,
+      children: node.children.map(outline)
+    });
+    assertGolden('edge-cases.hierarchy.json', JSON.stringify(outline(root), null, 2) + '\n');
+    assert.strictEqual(root.count, 8);
+  });
+
+  it('counts leaves below each node', () => {
+    const computeCounts = loadPage().run('computeCounts');
+    const tree = { children: [{ children: [] }, { children: [{ children: [] }, { children: [] }] }] };
+    assert.strictEqual(computeCounts(tree), 3);
+    assert.strictEqual(tree.children[1].count, 2);
+    assert.strictEqual(tree.children[0].count, 1);
+  });
+
+  it('leaves a post without comments as a single root', async () => {
+    const page = await pageWithThread('no-comments');
+    const root = page.run('buildHierarchyFromDict(buildNodeDictionary(tableData))');
+    assert.strictEqual(root.children.length, 0);
+    assert.strictEqual(root.count, 1);
+  });
+});